@@ -0,0 +1,49 @@
+// Sign-in providers. A provider is enabled once its client id/secret (and, for
+// the generic one, its issuer) are set in the environment.
+//  - type 'oidc'   → endpoints come from the issuer's discovery document
+//  - type 'oauth2' → endpoints are listed explicitly (GitHub isn't OIDC)
+const providers = {
+  google: {
+    name: 'Google',
+    type: 'oidc',
+    issuer: 'https://accounts.google.com',
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    scope: 'openid email profile',
+  },
+  github: {
+    name: 'GitHub',
+    type: 'oauth2',
+    authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+    tokenEndpoint: 'https://github.com/login/oauth/access_token',
+    userinfoEndpoint: 'https://api.github.com/user',
+    emailsEndpoint: 'https://api.github.com/user/emails',
+    clientId: process.env.GITHUB_CLIENT_ID,
+    clientSecret: process.env.GITHUB_CLIENT_SECRET,
+    scope: 'read:user user:email',
+  },
+  // Any OpenID Connect issuer (Okta, Keycloak, Azure AD, a local mock issuer...)
+  oidc: {
+    name: process.env.OIDC_NAME || 'SSO',
+    type: 'oidc',
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    scope: process.env.OIDC_SCOPE || 'openid email profile',
+  },
+};
+
+const isEnabled = (provider) =>
+  Boolean(provider.clientId && provider.clientSecret && (provider.type !== 'oidc' || provider.issuer));
+
+const getProvider = (id) => {
+  const provider = Object.prototype.hasOwnProperty.call(providers, id) ? providers[id] : null;
+  return provider && isEnabled(provider) ? { id, ...provider } : null;
+};
+
+const getEnabledProviders = () =>
+  Object.keys(providers)
+    .filter((id) => isEnabled(providers[id]))
+    .map((id) => ({ id, name: providers[id].name }));
+
+module.exports = { getProvider, getEnabledProviders };
@@ -0,0 +1,30 @@
+const User = require('../models/User');
+const { deleteAccount } = require('../utils/account');
+
+const DELETION_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+// Delete accounts whose deletion grace period has run out
+const deleteDueAccounts = async () => {
+  const due = await User.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } }).select('_id');
+  let deleted = 0;
+  // One failing account mustn't hold up the rest; it is retried on the next run
+  for (const user of due) {
+    try {
+      await deleteAccount(user._id);
+      deleted += 1;
+    } catch (error) {
+      console.error(`Account deletion error (user ${user._id}):`, error);
+    }
+  }
+  if (deleted > 0) console.log(`🗑️  Deleted ${deleted} account(s) after their grace period`);
+  return deleted;
+};
+
+// Run once at startup, then on a timer that doesn't keep the process alive
+const startAccountDeletion = () => {
+  const run = () => deleteDueAccounts().catch((error) => console.error('Account deletion error:', error));
+  run();
+  setInterval(run, DELETION_INTERVAL_MS).unref();
+};
+
+module.exports = { deleteDueAccounts, startAccountDeletion };
@@ -0,0 +1,21 @@
+const Task = require('../models/Task');
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+// Permanently delete tasks that have been in the trash longer than
+// TASK_TRASH_RETENTION_DAYS
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - Task.TRASH_RETENTION_MS);
+  const deleted = await Task.purge({ deletedAt: { $ne: null, $lte: cutoff } });
+  if (deleted > 0) console.log(`🗑️  Purged ${deleted} task(s) from the trash`);
+  return deleted;
+};
+
+// Run once at startup, then on a timer that doesn't keep the process alive
+const startTrashPurge = () => {
+  const run = () => purgeExpiredTrash().catch((error) => console.error('Trash purge error:', error));
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = { purgeExpiredTrash, startTrashPurge };
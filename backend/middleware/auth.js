@@ -1,27 +1,112 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { AUTH_COOKIES, hashToken } = require('../utils/tokens');
+const { rejectIfDisabled } = require('../utils/lockout');
+
+// Only touch lastSeenAt once a minute per session to keep writes cheap
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+// What unverified accounts may do: allow | read-only | block
+const UNVERIFIED_POLICY = process.env.UNVERIFIED_POLICY || 'read-only';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const isRestrictedForUnverified = (req) => {
+  if (req.allowUnverified || UNVERIFIED_POLICY === 'allow') return false;
+  if (UNVERIFIED_POLICY === 'block') return true;
+  return !SAFE_METHODS.includes(req.method);
+};
+
+// Bearer header wins; the httpOnly cookie is used in cookie auth mode
+const getAccessToken = (req) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1];
+  }
+  return req.cookies?.[AUTH_COOKIES.access] || null;
+};
+
+// Hold back unverified accounts per UNVERIFIED_POLICY; returns true if it replied
+const rejectIfUnverified = (user, req, res) => {
+  if (user.emailVerified || !isRestrictedForUnverified(req)) return false;
+  res.status(403).json({
+    error: 'Please verify your email address to continue.',
+    code: 'EMAIL_NOT_VERIFIED',
+  });
+  return true;
+};
+
+// Personal API key from the X-API-Key header; only routes that opted in with
+// allowApiKey accept one, and requireScope() limits what it can do there.
+const authenticateApiKey = async (req, res, next, rawKey) => {
+  if (!req.allowApiKey) {
+    return res.status(403).json({ error: 'API keys cannot be used for this endpoint.' });
+  }
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(rawKey) });
+  if (!apiKey || !apiKey.isActive()) {
+    return res.status(401).json({ error: 'Invalid or expired API key.' });
+  }
+
+  const user = await User.findById(apiKey.user);
+  if (!user) {
+    return res.status(401).json({ error: 'User no longer exists.' });
+  }
+  if (rejectIfDisabled(user, res)) return;
+  if (rejectIfUnverified(user, req, res)) return;
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > LAST_SEEN_RESOLUTION_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip || '' }).catch(() => {});
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
 
 const authenticate = async (req, res, next) => {
   try {
-    // 1. Get token from header
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'No token provided. Authorization denied.' });
+    const rawApiKey = req.get('X-API-Key');
+    if (rawApiKey) {
+      return await authenticateApiKey(req, res, next, rawApiKey);
     }
 
-    const token = authHeader.split(' ')[1];
+    // 1. Get token from header or cookie
+    const token = getAccessToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'No token provided. Authorization denied.' });
+    }
 
     // 2. Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded.sid) {
+      return res.status(401).json({ error: 'Invalid token.' });
+    }
+
+    // 3. Check the session hasn't been revoked (logout, reuse detection)
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive()) {
+      return res.status(401).json({ error: 'Session has been revoked. Please log in again.' });
+    }
 
-    // 3. Check user still exists
+    // 4. Check user still exists
     const user = await User.findById(decoded.id);
     if (!user) {
       return res.status(401).json({ error: 'User no longer exists.' });
     }
+    if (rejectIfDisabled(user, res)) return;
+
+    if (Date.now() - session.lastSeenAt > LAST_SEEN_RESOLUTION_MS) {
+      Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() }).catch(() => {});
+    }
 
-    // 4. Attach user to request
+    // 5. Hold back unverified accounts per UNVERIFIED_POLICY
+    if (rejectIfUnverified(user, req, res)) return;
+
+    // 6. Attach user & session to request
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -34,4 +119,32 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticate };
+// Mark routes unverified accounts can always use (account management, resend)
+const allowUnverified = (req, res, next) => {
+  req.allowUnverified = true;
+  next();
+};
+
+// Mark routes that accept personal API keys (in addition to sessions)
+const allowApiKey = (req, res, next) => {
+  req.allowApiKey = true;
+  next();
+};
+
+// Restrict a route to the given roles (run after authenticate)
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'You do not have permission to perform this action.' });
+  }
+  next();
+};
+
+// Require an API key scope; session-authenticated requests have full access
+const requireScope = (scope) => (req, res, next) => {
+  if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+    return res.status(403).json({ error: `API key is missing the "${scope}" scope.` });
+  }
+  next();
+};
+
+module.exports = { authenticate, authorize, allowUnverified, allowApiKey, requireScope };
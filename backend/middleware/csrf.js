@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+const { AUTH_COOKIES } = require('../utils/tokens');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Double-submit CSRF check: a request authenticated by the access cookie must
+// echo the csrf_token cookie in the X-CSRF-Token header. Requests carrying a
+// Bearer header can't be forged cross-site, so they pass through untouched.
+const csrfProtection = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method)) return next();
+
+  const usesBearer = req.headers.authorization?.startsWith('Bearer ');
+  if (usesBearer || !req.cookies?.[AUTH_COOKIES.access]) return next();
+
+  const cookieToken = req.cookies[AUTH_COOKIES.csrf];
+  const headerToken = req.get('X-CSRF-Token');
+  if (
+    !cookieToken ||
+    !headerToken ||
+    cookieToken.length !== headerToken.length ||
+    !crypto.timingSafeEqual(Buffer.from(cookieToken), Buffer.from(headerToken))
+  ) {
+    return res.status(403).json({ success: false, error: 'Invalid or missing CSRF token.' });
+  }
+
+  next();
+};
+
+module.exports = { csrfProtection };
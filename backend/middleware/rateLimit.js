@@ -0,0 +1,35 @@
+const rateLimit = require('express-rate-limit');
+const { normalizeEmailAddress } = require('../utils/emailAddress');
+
+const WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+
+// Key on IP + submitted email: one account can't be sprayed from a single
+// address, and a shared office NAT doesn't lock out everyone behind it. The
+// limiter runs before validation, so the email is normalized here the same
+// way; spelling variants of one address share its budget.
+const emailAndIpKey = (req) => `${req.ip}:${normalizeEmailAddress(req.body?.email)}`;
+
+const message = { success: false, error: 'Too many attempts, please try again later.' };
+
+// Login: only failed attempts count
+const loginLimiter = rateLimit({
+  windowMs: WINDOW_MS,
+  max: Number(process.env.LOGIN_RATE_LIMIT_MAX || 10),
+  keyGenerator: emailAndIpKey,
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message,
+});
+
+// Other credential endpoints (register, password reset, 2FA): every request counts
+const authLimiter = rateLimit({
+  windowMs: WINDOW_MS,
+  max: Number(process.env.AUTH_RATE_LIMIT_MAX || 20),
+  keyGenerator: emailAndIpKey,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message,
+});
+
+module.exports = { loginLimiter, authLimiter };
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+
+// Resolve which task list a request works on (run after authenticate).
+// No X-Workspace-Id header means the user's personal tasks, where they act as
+// owner; otherwise they must be a member of that workspace.
+// Sets req.workspace, req.workspaceRole and req.taskScope (a Task filter that
+// also leaves out tasks in the trash).
+const resolveWorkspace = async (req, res, next) => {
+  const workspaceId = req.get('X-Workspace-Id');
+
+  if (!workspaceId) {
+    req.workspace = null;
+    req.workspaceRole = 'owner';
+    req.taskScope = { user: req.user._id, workspace: null, deletedAt: null };
+    return next();
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(workspaceId)) {
+    return res.status(400).json({ success: false, error: 'Invalid workspace id.' });
+  }
+
+  try {
+    const workspace = await Workspace.findById(workspaceId);
+    const role = workspace && workspace.getRole(req.user._id);
+    if (!role) {
+      return res.status(404).json({ success: false, error: 'Workspace not found.' });
+    }
+
+    req.workspace = workspace;
+    req.workspaceRole = role;
+    req.taskScope = { workspace: workspace._id, deletedAt: null };
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to load workspace.' });
+  }
+};
+
+// Require one of the given workspace roles (run after resolveWorkspace)
+const requireWorkspaceRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.workspaceRole)) {
+    return res.status(403).json({ success: false, error: 'Your workspace role does not allow this action.' });
+  }
+  next();
+};
+
+module.exports = { resolveWorkspace, requireWorkspaceRole };
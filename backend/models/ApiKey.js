@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const API_KEY_SCOPES = ['tasks:read', 'tasks:write'];
+
+// Personal API keys for scripts and CI. The key itself (`pt_<secret>`) is shown
+// once at creation; only its SHA-256 hash is stored, plus a short prefix so the
+// owner can tell keys apart.
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [50, 'Name cannot exceed 50 characters'],
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    prefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: [(scopes) => scopes.length > 0, 'At least one scope is required'],
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: '',
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+apiKeySchema.methods.toJSON = function () {
+  const obj = this.toObject();
+  delete obj.keyHash;
+  return obj;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+ApiKey.SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKey;
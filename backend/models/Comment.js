@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A comment in a task's discussion. Anyone who can see the task can read it;
+// only the author can edit or delete it.
+const commentSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    body: {
+      type: String,
+      required: [true, 'Comment cannot be empty'],
+      trim: true,
+      maxlength: [2000, 'Comment cannot exceed 2000 characters'],
+    },
+    // Users @mentioned in the body, resolved when the comment is saved
+    mentions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+commentSchema.index({ task: 1, createdAt: 1 });
+
+// { [taskId]: count } for the given tasks
+commentSchema.statics.countByTask = async function (taskIds) {
+  const rows = await this.aggregate([
+    { $match: { task: { $in: taskIds } } },
+    { $group: { _id: '$task', count: { $sum: 1 } } },
+  ]);
+  return rows.reduce((counts, { _id, count }) => ({ ...counts, [_id]: count }), {});
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Pending invite to a workspace. The emailed link carries a random token;
+// only its hash is stored. Accepting requires signing in as the invited email.
+const invitationSchema = new mongoose.Schema(
+  {
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ['editor', 'viewer'],
+      default: 'editor',
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+invitationSchema.index({ workspace: 1, email: 1 });
+
+invitationSchema.methods.isPending = function () {
+  return !this.acceptedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -1,4 +1,56 @@
 const mongoose = require('mongoose');
+const { getNextOccurrence } = require('../utils/recurrence');
+const activityLog = require('./plugins/activityLog');
+const { ranksBetween } = require('../utils/rank');
+const Comment = require('./Comment');
+
+const MAX_CHECKLIST_ITEMS = 50;
+// How long deleted tasks stay in the trash before they are purged for good
+const TRASH_RETENTION_MS = Number(process.env.TASK_TRASH_RETENTION_DAYS || 30) * 24 * 60 * 60 * 1000;
+// Order of a board column: tasks never moved by hand first (newest first), then by rank
+const BOARD_SORT = { position: 1, createdAt: -1 };
+
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Checklist item text is required'],
+    trim: true,
+    maxlength: [200, 'Checklist item cannot exceed 200 characters'],
+  },
+  done: {
+    type: Boolean,
+    default: false,
+  },
+  order: {
+    type: Number,
+    default: 0,
+  },
+}, { id: false });
+
+// Repeat schedule (see utils/recurrence.js). Each occurrence is its own task;
+// finishing one creates the next.
+const recurrenceSchema = new mongoose.Schema({
+  rule: {
+    type: String,
+    required: true,
+  },
+  // DTSTART: the first occurrence's due date; anchors INTERVAL and BYDAY
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  // 1-based position in the series, checked against COUNT
+  occurrence: {
+    type: Number,
+    default: 1,
+  },
+  // Set once the following occurrence has been created
+  nextTask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null,
+  },
+}, { _id: false, id: false });
 
 const taskSchema = new mongoose.Schema(
   {
@@ -28,22 +80,215 @@ const taskSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Creator; for personal tasks (no workspace) also the only one with access
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true,
     },
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+    },
+    // Who is doing the work; workspace members, or just the creator for personal tasks
+    assignees: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+    // Tasks (in the same list) that must be done before this one can start
+    blockedBy: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+    }],
     tags: {
       type: [String],
       default: [],
     },
+    checklist: {
+      type: [checklistItemSchema],
+      validate: {
+        validator: (items) => items.length <= MAX_CHECKLIST_ITEMS,
+        message: `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items`,
+      },
+    },
+    // Move the task to done once every checklist item is ticked
+    completeOnChecklistDone: {
+      type: Boolean,
+      default: false,
+    },
+    recurrence: {
+      type: recurrenceSchema,
+      default: null,
+    },
+    // Manual order within its status column on the board (see utils/rank.js);
+    // null until the task is first dragged there
+    position: {
+      type: String,
+      default: null,
+    },
+    // Set while the task is in the trash; see statics.purge for permanent deletion
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
   },
-  { timestamps: true }
+  // Virtuals (checklistProgress) are part of every API response
+  { timestamps: true, id: false, toJSON: { virtuals: true } }
 );
 
 // Index for faster queries
 taskSchema.index({ user: 1, status: 1 });
 taskSchema.index({ user: 1, priority: 1 });
 taskSchema.index({ user: 1, createdAt: -1 });
+taskSchema.index({ workspace: 1, status: 1 });
+taskSchema.index({ workspace: 1, createdAt: -1 });
+taskSchema.index({ assignees: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ deletedAt: 1 });
+taskSchema.index({ user: 1, status: 1, position: 1 });
+taskSchema.index({ workspace: 1, status: 1, position: 1 });
+// Calendar windows (GET /api/tasks/calendar)
+taskSchema.index({ user: 1, dueDate: 1 });
+taskSchema.index({ workspace: 1, dueDate: 1 });
+
+taskSchema.virtual('checklistProgress').get(function () {
+  const items = this.checklist || [];
+  return { done: items.filter((item) => item.done).length, total: items.length };
+});
+
+// Only meaningful once blockedBy is populated (see RESPONSE_POPULATE); blockers
+// in the trash don't count
+taskSchema.virtual('isBlocked').get(function () {
+  return (this.blockedBy || []).some(
+    (blocker) => blocker && blocker.status && blocker.status !== 'done' && !blocker.deletedAt
+  );
+});
+
+// Keep the array sorted by `order` and the order values contiguous
+taskSchema.methods.normalizeChecklist = function () {
+  this.checklist.sort((a, b) => a.order - b.order);
+  this.checklist.forEach((item, index) => { item.order = index; });
+};
+
+// Whether auto-complete is on, every item is ticked and the task isn't done yet
+taskSchema.methods.shouldCompleteFromChecklist = function () {
+  const { done, total } = this.checklistProgress;
+  return this.completeOnChecklistDone && total > 0 && done === total && this.status !== 'done';
+};
+
+// Auto-advance to done when enabled and every item is ticked. Returns true if
+// the status changed (the caller saves). Tasks that can have blockers go
+// through applyChecklistStatusUnlessBlocked (utils/dependencies.js) instead.
+taskSchema.methods.applyChecklistStatus = function () {
+  if (!this.shouldCompleteFromChecklist()) return false;
+  this.status = 'done';
+  return true;
+};
+
+// Due date of the occurrence after this one, or null if the series ends here
+taskSchema.methods.getNextDueDate = function () {
+  const { recurrence } = this;
+  if (!recurrence || !this.dueDate) return null;
+  return getNextOccurrence(recurrence.rule, {
+    start: recurrence.startDate,
+    after: this.dueDate,
+    occurrence: recurrence.occurrence,
+  });
+};
+
+// Once a recurring task is done, create the next occurrence (only ever once per
+// task). Returns the new task, or null if nothing was created.
+taskSchema.methods.spawnNextOccurrence = async function () {
+  const { recurrence } = this;
+  if (this.status !== 'done' || !recurrence || recurrence.nextTask) return null;
+
+  const dueDate = this.getNextDueDate();
+  if (!dueDate) return null;
+
+  // Claim the slot atomically so concurrent updates can't both create one
+  const TaskModel = this.constructor;
+  const nextId = new mongoose.Types.ObjectId();
+  const claim = await TaskModel.updateOne(
+    { _id: this._id, 'recurrence.nextTask': null },
+    { $set: { 'recurrence.nextTask': nextId } }
+  );
+  if (claim.modifiedCount === 0) return null;
+  recurrence.nextTask = nextId;
+
+  return TaskModel.create({
+    _id: nextId,
+    title: this.title,
+    description: this.description,
+    priority: this.priority,
+    dueDate,
+    user: this.user,
+    workspace: this.workspace,
+    assignees: this.assignees.map((a) => a._id || a),
+    tags: this.tags,
+    checklist: this.checklist.map(({ text, order }) => ({ text, order, done: false })),
+    completeOnChecklistDone: this.completeOnChecklistDone,
+    recurrence: {
+      rule: recurrence.rule,
+      startDate: recurrence.startDate,
+      occurrence: recurrence.occurrence + 1,
+    },
+  });
+};
+
+// Permanently delete the matching tasks together with their comments and any
+// blocked-by links to them. Returns the number of tasks deleted.
+taskSchema.statics.purge = async function (filter) {
+  const ids = await this.find(filter).distinct('_id');
+  if (ids.length === 0) return 0;
+
+  await Comment.deleteMany({ task: { $in: ids } });
+  await this.updateMany({ blockedBy: { $in: ids } }, { $pull: { blockedBy: { $in: ids } } });
+  const { deletedCount } = await this.deleteMany({ _id: { $in: ids } });
+  return deletedCount;
+};
+
+// Give every unranked task in a board column (`filter`) a position, keeping the
+// order they are shown in. Lets a move rank against its neighbours.
+taskSchema.statics.rankUnpositioned = async function (filter) {
+  const unranked = await this.find({ ...filter, position: null }).sort(BOARD_SORT).select('_id');
+  if (unranked.length === 0) return;
+
+  const firstRanked = await this.findOne({ ...filter, position: { $ne: null } }).sort(BOARD_SORT).select('position');
+  const ranks = ranksBetween(null, firstRanked ? firstRanked.position : null, unranked.length);
+  await this.bulkWrite(unranked.map((task, index) => ({
+    updateOne: { filter: { _id: task._id }, update: { $set: { position: ranks[index] } } },
+  })));
+};
+
+// Field-level history in TaskActivity; references compare by id whether or not populated
+const refIds = (refs) => (refs || []).map((ref) => String(ref._id || ref));
+const same = (value) => value;
+taskSchema.plugin(activityLog, {
+  fields: {
+    title: same,
+    description: same,
+    status: same,
+    priority: same,
+    dueDate: same,
+    tags: same,
+    assignees: refIds,
+    blockedBy: refIds,
+    checklist: (items) => (items || []).map(({ text, done }) => ({ text, done })),
+    completeOnChecklistDone: same,
+    recurrence: (recurrence) => (recurrence ? { rule: recurrence.rule, occurrence: recurrence.occurrence } : null),
+    deletedAt: same,
+  },
+});
+
+const Task = mongoose.model('Task', taskSchema);
+Task.MAX_CHECKLIST_ITEMS = MAX_CHECKLIST_ITEMS;
+Task.TRASH_RETENTION_MS = TRASH_RETENTION_MS;
+Task.BOARD_SORT = BOARD_SORT;
+// Related documents included in every task the API returns
+Task.RESPONSE_POPULATE = [
+  { path: 'assignees', select: 'name email' },
+  { path: 'blockedBy', select: 'title status deletedAt' },
+];
 
-module.exports = mongoose.model('Task', taskSchema);
+module.exports = Task;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Append-only history of a task: who created, changed or deleted it and which
+// fields changed. Written by the activity plugin on the Task model.
+const taskActivitySchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true,
+    },
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+    },
+    // Null when the change didn't come from a signed-in user (e.g. a background job)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    action: {
+      type: String,
+      enum: ['created', 'updated', 'deleted'],
+      required: true,
+    },
+    // [{ field, from, to }]; values are JSON-friendly (ids and dates as strings)
+    changes: [{
+      _id: false,
+      field: { type: String, required: true },
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed,
+    }],
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+taskActivitySchema.index({ task: 1, createdAt: -1 });
+
+// Entries are never edited once written
+taskActivitySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], () => {
+  throw new Error('Task activity is append-only.');
+});
+
+module.exports = mongoose.model('TaskActivity', taskActivitySchema);
@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+const LOCKOUT_THRESHOLD = Number(process.env.LOCKOUT_THRESHOLD || 5);
+const LOCKOUT_BASE_MINUTES = Number(process.env.LOCKOUT_MINUTES || 15);
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+// How long a requested account deletion can still be cancelled
+const DELETION_GRACE_MS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS || 14) * 24 * 60 * 60 * 1000;
 
 const userSchema = new mongoose.Schema(
   {
@@ -18,9 +25,15 @@ const userSchema = new mongoose.Schema(
       trim: true,
       match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email'],
     },
+    // Optional for accounts that only ever sign in through an OAuth provider
     password: {
       type: String,
-      required: [true, 'Password is required'],
+      required: [
+        function () {
+          return !this.oauthAccounts || this.oauthAccounts.length === 0;
+        },
+        'Password is required',
+      ],
       minlength: [6, 'Password must be at least 6 characters'],
       select: false,
     },
@@ -38,27 +51,216 @@ const userSchema = new mongoose.Schema(
       enum: ['user', 'admin'],
       default: 'user',
     },
+    // Set by an admin: the account can't sign in and existing sessions are revoked
+    disabled: {
+      type: Boolean,
+      default: false,
+    },
+    disabledAt: {
+      type: Date,
+      default: null,
+    },
+    // Set by an admin: no sign-in (password or SSO) works until reset by email
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationTokenHash: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    verificationEmailSentAt: {
+      type: Date,
+      select: false,
+    },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    // Secret generated during setup, promoted to twoFactorSecret once a code is confirmed
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // TOTP step of the last accepted code, so a code can't be replayed within its window
+    twoFactorLastStep: {
+      type: Number,
+      select: false,
+    },
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Brute-force protection: consecutive failures, current lock, and how many
+    // times the account has been locked (each lockout doubles the next one)
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    lockUntil: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    lockoutCount: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    // Secret URL of the read-only ICS feed of due dates; only its hash is stored
+    calendarFeedTokenHash: {
+      type: String,
+      select: false,
+    },
+    calendarFeedCreatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when the user asks to close their account; the account and its data
+    // are removed once this passes unless they cancel first
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+    },
+    // External identities linked to this account (provider + stable subject id)
+    oauthAccounts: [
+      {
+        _id: false,
+        provider: { type: String, required: true },
+        subject: { type: String, required: true },
+        email: { type: String, lowercase: true, trim: true },
+        linkedAt: { type: Date, default: Date.now },
+      },
+    ],
   },
   { timestamps: true }
 );
 
+// One account per external identity
+userSchema.index(
+  { 'oauthAccounts.provider': 1, 'oauthAccounts.subject': 1 },
+  { unique: true, partialFilterExpression: { 'oauthAccounts.subject': { $exists: true } } }
+);
+
+userSchema.index({ calendarFeedTokenHash: 1 }, { unique: true, sparse: true });
+userSchema.index({ deletionScheduledFor: 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || !this.password) return next();
   this.password = await bcrypt.hash(this.password, 12);
   next();
 });
 
-// Compare passwords
+// Compare passwords (SSO-only accounts have none, so nothing matches)
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.methods.isLocked = function () {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Count a failed login atomically. Returns { attempts, lockUntil } where
+// lockUntil is set only when this failure triggered a new lockout.
+userSchema.methods.registerFailedLogin = async function () {
+  const updated = await this.constructor
+    .findByIdAndUpdate(this._id, { $inc: { failedLoginAttempts: 1 } }, { new: true })
+    .select('+failedLoginAttempts +lockoutCount');
+
+  if (updated.failedLoginAttempts < LOCKOUT_THRESHOLD) {
+    return { attempts: updated.failedLoginAttempts, lockUntil: null };
+  }
+
+  const lockoutCount = updated.lockoutCount + 1;
+  const minutes = Math.min(LOCKOUT_BASE_MINUTES * 2 ** (lockoutCount - 1), LOCKOUT_MAX_MINUTES);
+  const lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { failedLoginAttempts: 0, lockoutCount, lockUntil }
+  );
+  return { attempts: updated.failedLoginAttempts, lockUntil };
+};
+
+// Clear failure tracking after a successful login
+userSchema.methods.resetLoginAttempts = function () {
+  if (!this.failedLoginAttempts && !this.lockoutCount && !this.lockUntil) return Promise.resolve();
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { failedLoginAttempts: 0, lockoutCount: 0, lockUntil: null }
+  );
+};
+
+// Issue a single-use reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function () {
+  const token = generateRandomToken(32);
+  const ttlMinutes = Number(process.env.PASSWORD_RESET_EXPIRES_MINUTES || 30);
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  return token;
+};
+
+// Issue an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function () {
+  const token = generateRandomToken(32);
+  const ttlHours = Number(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS || 24);
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+  this.verificationEmailSentAt = new Date();
+  return token;
+};
+
+// Issue a calendar feed token, replacing (and so revoking) any earlier one
+userSchema.methods.createCalendarFeedToken = function () {
+  const token = generateRandomToken(32);
+  this.calendarFeedTokenHash = hashToken(token);
+  this.calendarFeedCreatedAt = new Date();
+  return token;
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function () {
   const obj = this.toObject();
   delete obj.password;
+  delete obj.emailVerificationTokenHash;
+  delete obj.emailVerificationExpires;
+  delete obj.verificationEmailSentAt;
+  delete obj.failedLoginAttempts;
+  delete obj.lockUntil;
+  delete obj.lockoutCount;
+  delete obj.twoFactorSecret;
+  delete obj.twoFactorPendingSecret;
+  delete obj.twoFactorLastStep;
+  delete obj.twoFactorRecoveryCodes;
+  delete obj.passwordResetTokenHash;
+  delete obj.passwordResetExpires;
+  delete obj.calendarFeedTokenHash;
   return obj;
 };
 
-module.exports = mongoose.model('User', userSchema);
+const User = mongoose.model('User', userSchema);
+User.DELETION_GRACE_MS = DELETION_GRACE_MS;
+
+module.exports = User;
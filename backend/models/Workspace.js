@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+
+// A shared task list. Members are embedded: owners manage the workspace,
+// editors can change tasks, viewers can only read them.
+const workspaceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      minlength: [2, 'Name must be at least 2 characters'],
+      maxlength: [50, 'Name cannot exceed 50 characters'],
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    members: [
+      {
+        _id: false,
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        role: { type: String, enum: WORKSPACE_ROLES, default: 'editor' },
+        joinedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+workspaceSchema.index({ 'members.user': 1 });
+
+// Role of a user in this workspace, or null if they aren't a member
+workspaceSchema.methods.getRole = function (userId) {
+  const member = this.members.find((m) => (m.user._id || m.user).equals(userId));
+  return member ? member.role : null;
+};
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+Workspace.ROLES = WORKSPACE_ROLES;
+
+module.exports = Workspace;
@@ -0,0 +1,137 @@
+const TaskActivity = require('../TaskActivity');
+const { getCurrentUserId } = require('../../utils/requestContext');
+
+// Mongoose plugin that records field-level diffs of a task into TaskActivity
+// whenever it is created, updated (document save or update query) or deleted
+// (findOneAndDelete or deleteMany),
+// so route handlers don't have to log changes themselves. The actor is the
+// signed-in user of the current request (see utils/requestContext.js).
+//
+// options.fields maps each tracked path to a function that turns its value
+// into a plain, comparable form (ids and dates as strings).
+
+const UPDATE_QUERIES = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const isEmpty = (value) => value === null || value === '' || value === false
+  || (Array.isArray(value) && value.length === 0);
+
+// Tracked top-level paths an update document touches, e.g. { $set: {
+// 'checklist.0.done': true } } -> ['checklist']. Pipeline updates can touch anything.
+const updatedPaths = (update, paths) => {
+  if (!update || Array.isArray(update)) return paths;
+  const keys = Object.entries(update).flatMap(([key, value]) =>
+    (key.startsWith('$') && value && typeof value === 'object' ? Object.keys(value) : [key]));
+  const touched = new Set(keys.map((key) => key.split('.')[0]));
+  return paths.filter((path) => touched.has(path));
+};
+
+const activityLog = (schema, { fields }) => {
+  const paths = Object.keys(fields);
+
+  const snapshot = (doc, only = paths) =>
+    Object.fromEntries(only.map((path) => [path, toPlain(fields[path](doc[path]))]));
+
+  const diff = (before, after, only = paths) => only
+    .filter((path) => JSON.stringify(before[path]) !== JSON.stringify(after[path]))
+    .map((path) => ({ field: path, from: before[path], to: after[path] }));
+
+  // Creation and deletion list every non-empty field, from/to null
+  const describe = (values, direction) => paths
+    .filter((path) => !isEmpty(values[path]))
+    .map((path) => (direction === 'created'
+      ? { field: path, from: null, to: values[path] }
+      : { field: path, from: values[path], to: null }));
+
+  const record = async (entries) => {
+    if (entries.length === 0) return;
+    try {
+      await TaskActivity.insertMany(entries);
+    } catch (error) {
+      // History must never break the change it describes
+      console.error('Task activity log error:', error);
+    }
+  };
+
+  const entry = (doc, actor, action, changes) => ({
+    task: doc._id,
+    workspace: doc.workspace || null,
+    actor,
+    action,
+    changes,
+  });
+
+  // Before a save, read the stored values of just the tracked paths it changes.
+  // The actor is taken before any I/O, while still in the caller's async context.
+  schema.pre('save', async function () {
+    const activity = { actor: getCurrentUserId(), isNew: this.isNew, changed: [] };
+    this.$locals.activity = activity;
+    if (this.isNew) return;
+
+    const changed = paths.filter((path) => this.isModified(path));
+    if (changed.length === 0) return;
+    const stored = await this.constructor.findById(this._id).select(changed).lean();
+    if (stored) Object.assign(activity, { changed, before: snapshot(stored, changed) });
+  });
+
+  schema.post('save', async function () {
+    const { actor, isNew, changed = [], before } = this.$locals.activity || {};
+    this.$locals.activity = null;
+    if (isNew) {
+      await record([entry(this, actor, 'created', describe(snapshot(this), 'created'))]);
+      return;
+    }
+    if (!before) return;
+    const changes = diff(before, snapshot(this, changed), changed);
+    if (changes.length > 0) await record([entry(this, actor, 'updated', changes)]);
+  });
+
+  // Update queries don't load documents, so read the matches before and after,
+  // limited to the tracked paths the update touches (none touched, no reads)
+  schema.pre(UPDATE_QUERIES, async function () {
+    const changed = updatedPaths(this.getUpdate(), paths);
+    if (changed.length === 0) return;
+    const before = await this.model.find(this.getFilter()).select([...changed, 'workspace']).lean();
+    this.$activity = { actor: getCurrentUserId(), changed, before };
+  });
+
+  schema.post(UPDATE_QUERIES, async function () {
+    const { actor, changed = [], before = [] } = this.$activity || {};
+    if (before.length === 0) return;
+
+    const afterDocs = await this.model
+      .find({ _id: { $in: before.map((doc) => doc._id) } })
+      .select(changed)
+      .lean();
+    const afterById = new Map(afterDocs.map((doc) => [String(doc._id), doc]));
+
+    const entries = before
+      .filter((doc) => afterById.has(String(doc._id)))
+      .map((doc) => entry(doc, actor, 'updated',
+        diff(snapshot(doc, changed), snapshot(afterById.get(String(doc._id)), changed), changed)))
+      .filter(({ changes }) => changes.length > 0);
+    await record(entries);
+  });
+
+  schema.pre('findOneAndDelete', function () {
+    this.$activity = { actor: getCurrentUserId() };
+  });
+
+  schema.post('findOneAndDelete', async function (doc) {
+    if (!doc) return;
+    await record([entry(doc, this.$activity?.actor || null, 'deleted', describe(snapshot(doc), 'deleted'))]);
+  });
+
+  schema.pre('deleteMany', async function () {
+    const before = await this.model.find(this.getFilter()).select([...paths, 'workspace']).lean();
+    this.$activity = { actor: getCurrentUserId(), before };
+  });
+
+  schema.post('deleteMany', async function () {
+    const { actor, before = [] } = this.$activity || {};
+    await record(before.map((doc) => entry(doc, actor, 'deleted', describe(snapshot(doc), 'deleted'))));
+  });
+};
+
+module.exports = activityLog;
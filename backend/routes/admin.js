@@ -0,0 +1,266 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, param, validationResult } = require('express-validator');
+const { authenticate, authorize } = require('../middleware/auth');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { recordAudit } = require('../utils/audit');
+const { sendPasswordResetEmail } = require('../utils/emails');
+
+// Every route here is admin-only
+router.use(authenticate, authorize('admin'));
+
+// Helper: escape user input before using it in a regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper: { [userId]: { total, todo, in-progress, done } } for the given users
+const getTaskCounts = async (userIds) => {
+  const rows = await Task.aggregate([
+    { $match: { user: { $in: userIds }, deletedAt: null } },
+    { $group: { _id: { user: '$user', status: '$status' }, count: { $sum: 1 } } },
+  ]);
+
+  const counts = {};
+  userIds.forEach((id) => {
+    counts[id] = { total: 0, todo: 0, 'in-progress': 0, done: 0 };
+  });
+  rows.forEach(({ _id, count }) => {
+    counts[_id.user][_id.status] = count;
+    counts[_id.user].total += count;
+  });
+  return counts;
+};
+
+// Helper: load the target user for /users/:id routes, replying 404 if missing
+const findTargetUser = async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({ success: false, error: 'User not found.' });
+    return null;
+  }
+  return user;
+};
+
+const userIdRule = param('id').isMongoId().withMessage('Invalid user id');
+
+// @route   GET /api/admin/users
+// @desc    List/search users with their task counts
+// @access  Private (admin)
+router.get(
+  '/users',
+  [
+    query('search').optional().trim(),
+    query('role').optional().isIn(['user', 'admin']),
+    query('status').optional().isIn(['active', 'disabled']),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    const { search, role, status, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (status) filter.disabled = status === 'disabled';
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    try {
+      const total = await User.countDocuments(filter);
+      const users = await User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit));
+
+      const taskCounts = await getTaskCounts(users.map((u) => u._id));
+
+      res.json({
+        success: true,
+        users: users.map((u) => ({ ...u.toJSON(), taskCounts: taskCounts[u._id] })),
+        pagination: {
+          total,
+          page: Number(page),
+          pages: Math.ceil(total / limit),
+          limit: Number(limit),
+        },
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to fetch users.' });
+    }
+  }
+);
+
+// @route   GET /api/admin/users/:id
+// @desc    Get one user with task counts and active session count
+// @access  Private (admin)
+router.get('/users/:id', [userIdRule], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+    });
+  }
+
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const taskCounts = await getTaskCounts([user._id]);
+    const activeSessions = await Session.countDocuments({
+      user: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
+    res.json({ success: true, user: { ...user.toJSON(), taskCounts: taskCounts[user._id], activeSessions } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to fetch user.' });
+  }
+});
+
+// @route   PATCH /api/admin/users/:id/status
+// @desc    Disable or re-enable an account
+// @access  Private (admin)
+router.patch(
+  '/users/:id/status',
+  [userIdRule, body('disabled').isBoolean().withMessage('disabled must be true or false').toBoolean()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'You cannot disable your own account.' });
+    }
+
+    try {
+      const user = await findTargetUser(req, res);
+      if (!user) return;
+
+      const { disabled } = req.body;
+      user.disabled = disabled;
+      user.disabledAt = disabled ? new Date() : null;
+      await user.save({ validateBeforeSave: false });
+
+      if (disabled) await Session.revokeAllForUser(user._id, 'account-disabled');
+
+      await recordAudit(req, {
+        user: user._id,
+        action: disabled ? 'admin.user.disabled' : 'admin.user.enabled',
+      });
+
+      res.json({
+        success: true,
+        message: disabled ? 'Account disabled.' : 'Account enabled.',
+        user,
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to update account status.' });
+    }
+  }
+);
+
+// @route   PATCH /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Private (admin)
+router.patch(
+  '/users/:id/role',
+  [userIdRule, body('role').isIn(['user', 'admin']).withMessage('Role must be user or admin')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    // Guards against an admin locking everyone (including themselves) out of the console
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'You cannot change your own role.' });
+    }
+
+    try {
+      const user = await findTargetUser(req, res);
+      if (!user) return;
+
+      const previousRole = user.role;
+      user.role = req.body.role;
+      await user.save({ validateBeforeSave: false });
+
+      await recordAudit(req, {
+        user: user._id,
+        action: 'admin.user.role-changed',
+        metadata: { from: previousRole, to: user.role },
+      });
+
+      res.json({ success: true, message: 'Role updated.', user });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to update role.' });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:id/force-password-reset
+// @desc    Invalidate the password, sign out everywhere, revoke API keys and email a reset link
+// @access  Private (admin)
+router.post('/users/:id/force-password-reset', [userIdRule], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+    });
+  }
+
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const token = user.createPasswordResetToken();
+    user.passwordResetRequired = true;
+    await user.save({ validateBeforeSave: false });
+    await Session.revokeAllForUser(user._id, 'admin-password-reset');
+    // Keys would otherwise keep the flagged account working through the API
+    await ApiKey.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+    await recordAudit(req, { user: user._id, action: 'admin.user.password-reset-forced' });
+
+    // The password is already blocked; if mail fails the user can still use "Forgot password"
+    let emailSent = true;
+    try {
+      await sendPasswordResetEmail(user, token);
+    } catch (mailError) {
+      console.error('Forced reset email error:', mailError);
+      emailSent = false;
+    }
+
+    res.json({
+      success: true,
+      message: emailSent
+        ? 'Password reset required. A reset link has been emailed to the user.'
+        : 'Password reset required, but the email could not be sent.',
+      emailSent,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to force password reset.' });
+  }
+});
+
+module.exports = router;
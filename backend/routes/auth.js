@@ -1,31 +1,29 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-
-// Helper: generate JWT
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-  });
-};
-
-// Helper: send token response
-const sendTokenResponse = (user, statusCode, res) => {
-  const token = generateToken(user._id);
-  res.status(statusCode).json({
-    success: true,
-    token,
-    user,
-  });
-};
+const Session = require('../models/Session');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/emails');
+const { rejectIfLocked, rejectIfDisabled, handleFailedLogin } = require('../utils/lockout');
+const { loginLimiter, authLimiter } = require('../middleware/rateLimit');
+const { csrfProtection } = require('../middleware/csrf');
+const {
+  sendTokenResponse,
+  rotateSession,
+  revokeSession,
+  deliverTokens,
+  clearAuthCookies,
+  getRefreshToken,
+  hashToken,
+  generateChallengeToken,
+} = require('../utils/tokens');
 
 // @route   POST /api/auth/register
 // @desc    Register new user
 // @access  Public
 router.post(
   '/register',
+  authLimiter,
   [
     body('name')
       .trim()
@@ -63,9 +61,17 @@ router.post(
         });
       }
 
-      // Create user
-      const user = await User.create({ name, email, password });
-      sendTokenResponse(user, 201, res);
+      // Create user with a pending email verification
+      const user = new User({ name, email, password });
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save();
+
+      // A mail outage shouldn't block sign-up; the user can resend later
+      sendVerificationEmail(user, verificationToken).catch((mailError) => {
+        console.error('Verification email error:', mailError);
+      });
+
+      await sendTokenResponse(user, 201, req, res);
     } catch (error) {
       console.error('Register error:', error);
       res.status(500).json({ success: false, error: 'Server error during registration.' });
@@ -74,10 +80,11 @@ router.post(
 );
 
 // @route   POST /api/auth/login
-// @desc    Login user & return JWT
+// @desc    Login user & return access + refresh tokens
 // @access  Public
 router.post(
   '/login',
+  loginLimiter,
   [
     body('email')
       .trim()
@@ -99,21 +106,47 @@ router.post(
     const { email, password } = req.body;
 
     try {
-      // Find user with password
-      const user = await User.findOne({ email }).select('+password');
+      // Find user with password and lockout state
+      const user = await User.findOne({ email }).select('+password +failedLoginAttempts +lockUntil +lockoutCount');
       if (!user) {
         return res.status(401).json({ success: false, error: 'Invalid email or password.' });
       }
 
+      if (rejectIfLocked(user, res)) return;
+
       // Check password
       const isMatch = await user.comparePassword(password);
       if (!isMatch) {
+        await handleFailedLogin(req, user, 'password');
         return res.status(401).json({ success: false, error: 'Invalid email or password.' });
       }
 
+      if (rejectIfDisabled(user, res)) return;
+
+      // An admin invalidated this password; only the emailed reset link works now
+      if (user.passwordResetRequired) {
+        return res.status(403).json({
+          success: false,
+          error: 'A password reset is required. Check your email or use "Forgot password".',
+          code: 'PASSWORD_RESET_REQUIRED',
+        });
+      }
+
+      // Second step required: hand out a challenge instead of a session
+      if (user.twoFactorEnabled) {
+        return res.json({
+          success: true,
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user._id),
+        });
+      }
+
+      // Failures are only cleared once the whole login succeeds
+      await user.resetLoginAttempts();
+
       // Remove password before sending
       user.password = undefined;
-      sendTokenResponse(user, 200, res);
+      await sendTokenResponse(user, 200, req, res);
     } catch (error) {
       console.error('Login error:', error);
       res.status(500).json({ success: false, error: 'Server error during login.' });
@@ -121,11 +154,204 @@ router.post(
   }
 );
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post(
+  '/forgot-password',
+  authLimiter,
+  [
+    body('email')
+      .trim()
+      .notEmpty().withMessage('Email is required')
+      .isEmail().withMessage('Please provide a valid email')
+      .normalizeEmail(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    // Same response whether or not the account exists, so emails can't be enumerated
+    const message = 'If an account exists for that email, a reset link has been sent.';
+
+    try {
+      const user = await User.findOne({ email: req.body.email });
+      if (!user) {
+        return res.json({ success: true, message });
+      }
+
+      const token = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await sendPasswordResetEmail(user, token);
+      } catch (mailError) {
+        console.error('Reset email error:', mailError);
+        user.passwordResetTokenHash = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+        return res.status(500).json({ success: false, error: 'Could not send reset email. Please try again later.' });
+      }
+
+      res.json({ success: true, message });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({ success: false, error: 'Server error while requesting password reset.' });
+    }
+  }
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public (requires reset token)
+router.post(
+  '/reset-password',
+  authLimiter,
+  [
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    body('password')
+      .notEmpty().withMessage('Password is required')
+      .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+      .matches(/\d/).withMessage('Password must contain at least one number'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    try {
+      const user = await User.findOne({
+        passwordResetTokenHash: hashToken(req.body.token),
+        passwordResetExpires: { $gt: new Date() },
+      });
+      if (!user) {
+        return res.status(400).json({ success: false, error: 'Reset link is invalid or has expired.' });
+      }
+
+      user.password = req.body.password;
+      user.passwordResetTokenHash = undefined;
+      user.passwordResetExpires = undefined;
+      user.passwordResetRequired = false;
+      await user.save();
+
+      // Whoever triggered the reset may be locking out an attacker: end every session
+      await Session.revokeAllForUser(user._id, 'password-reset');
+      res.json({ success: true, message: 'Password has been reset. You can now log in.' });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({ success: false, error: 'Server error while resetting password.' });
+    }
+  }
+);
+
+// @route   POST /api/auth/refresh
+// @desc    Rotate refresh token & issue a new access token
+// @access  Public (requires refresh token in body or cookie)
+router.post('/refresh', async (req, res) => {
+  const refreshToken = getRefreshToken(req);
+  if (!refreshToken) {
+    return res.status(401).json({ success: false, error: 'Refresh token is required.' });
+  }
+
+  try {
+    const result = await rotateSession(refreshToken, req);
+    if (result.error) {
+      clearAuthCookies(res);
+      return res.status(401).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, ...deliverTokens(res, result) });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ success: false, error: 'Server error during token refresh.' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the session behind a refresh token
+// @access  Public (requires refresh token in body or cookie)
+router.post('/logout', csrfProtection, async (req, res) => {
+  try {
+    const refreshToken = getRefreshToken(req);
+    if (refreshToken) await revokeSession(refreshToken);
+    clearAuthCookies(res);
+    res.json({ success: true, message: 'Logged out successfully.' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, error: 'Server error during logout.' });
+  }
+});
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Confirm an email address
+// @access  Public (requires verification token)
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationTokenHash: hashToken(req.params.token),
+      emailVerificationExpires: { $gt: new Date() },
+    });
+    if (!user) {
+      return res.status(400).json({ success: false, error: 'Verification link is invalid or has expired.' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+    res.json({ success: true, message: 'Email verified successfully.' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ success: false, error: 'Server error during email verification.' });
+  }
+});
+
+const { authenticate, allowUnverified } = require('../middleware/auth');
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a fresh verification email (throttled)
+// @access  Private
+router.post('/resend-verification', csrfProtection, allowUnverified, authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+verificationEmailSentAt');
+    if (user.emailVerified) {
+      return res.status(400).json({ success: false, error: 'Email is already verified.' });
+    }
+
+    const cooldownMs = Number(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS || 60) * 1000;
+    const elapsed = user.verificationEmailSentAt ? Date.now() - user.verificationEmailSentAt : Infinity;
+    if (elapsed < cooldownMs) {
+      const retryAfter = Math.ceil((cooldownMs - elapsed) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: `Please wait ${retryAfter} seconds before requesting another email.`,
+        retryAfter,
+      });
+    }
+
+    const token = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await sendVerificationEmail(user, token);
+    res.json({ success: true, message: 'Verification email sent.' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ success: false, error: 'Could not send verification email.' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current logged-in user
 // @access  Private
-const { authenticate } = require('../middleware/auth');
-router.get('/me', authenticate, async (req, res) => {
+router.get('/me', allowUnverified, authenticate, async (req, res) => {
   res.json({ success: true, user: req.user });
 });
 
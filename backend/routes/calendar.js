@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const { param, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Workspace = require('../models/Workspace');
+const { hashToken } = require('../utils/tokens');
+const { buildCalendar } = require('../utils/ical');
+
+const STATUSES = ['todo', 'in-progress', 'done'];
+const PRIORITIES = ['low', 'medium', 'high'];
+// Newest due dates win when a feed would be larger than this
+const MAX_FEED_TASKS = 1000;
+
+// Helper: "todo,in-progress" -> ['todo', 'in-progress']
+const splitList = (value) => [...new Set(String(value).split(',').map((v) => v.trim()).filter(Boolean))];
+
+// Helper: validator for a comma-separated list of allowed values
+const listOf = (allowed) => (value) => splitList(value).every((v) => allowed.includes(v));
+
+// @route   GET /api/calendar/:token.ics
+// @desc    ICS feed of tasks with a due date, for calendar apps to subscribe to.
+//          Personal tasks plus workspace tasks assigned to the user, or every
+//          task of one workspace with ?workspace=<id>. Filters: status,
+//          priority and tags (comma-separated, any match); ?type=todo emits
+//          VTODO entries instead of all-day events.
+// @access  Public (the secret token in the URL is the credential)
+router.get(
+  '/:token.ics',
+  [
+    param('token').isLength({ min: 32, max: 64 }).withMessage('Invalid feed token'),
+    query('status').optional().custom(listOf(STATUSES)).withMessage('Invalid status'),
+    query('priority').optional().custom(listOf(PRIORITIES)).withMessage('Invalid priority'),
+    query('tags').optional().isString().withMessage('Tags must be comma-separated'),
+    query('workspace').optional().isMongoId().withMessage('Invalid workspace id'),
+    query('type').optional().isIn(['event', 'todo']).withMessage('Type must be event or todo'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    try {
+      const user = await User.findOne({ calendarFeedTokenHash: hashToken(req.params.token) });
+      if (!user || user.disabled) {
+        return res.status(404).json({ success: false, error: 'Calendar feed not found.' });
+      }
+
+      const { status, priority, tags, workspace: workspaceId, type } = req.query;
+      const filter = { deletedAt: null, dueDate: { $ne: null } };
+      let name = `${user.name}'s tasks`;
+
+      if (workspaceId) {
+        const workspace = await Workspace.findById(workspaceId);
+        if (!workspace || !workspace.getRole(user._id)) {
+          return res.status(404).json({ success: false, error: 'Workspace not found.' });
+        }
+        filter.workspace = workspace._id;
+        name = workspace.name;
+      } else {
+        const workspaceIds = await Workspace.find({ 'members.user': user._id }).distinct('_id');
+        filter.$or = [
+          { user: user._id, workspace: null },
+          { workspace: { $in: workspaceIds }, assignees: user._id },
+        ];
+      }
+
+      if (status) filter.status = { $in: splitList(status) };
+      if (priority) filter.priority = { $in: splitList(priority) };
+      if (tags && splitList(tags).length > 0) filter.tags = { $in: splitList(tags) };
+
+      const tasks = await Task.find(filter)
+        .sort({ dueDate: -1 })
+        .limit(MAX_FEED_TASKS)
+        .select('title description status priority dueDate tags updatedAt')
+        .lean();
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="tasks.ics"',
+        'Cache-Control': 'private, max-age=300',
+      });
+      res.send(buildCalendar(tasks, { name, type, uidDomain: req.hostname }));
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to build calendar feed.' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,182 @@
+const express = require('express');
+// Mounted at /api/tasks/:id/checklist; mergeParams exposes the task :id
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { resolveWorkspace, requireWorkspaceRole } = require('../middleware/workspace');
+const Task = require('../models/Task');
+const { applyChecklistStatusUnlessBlocked } = require('../utils/dependencies');
+
+// Checklist changes are task changes: editor or owner, and a tasks:write key
+router.use(authenticate, requireScope('tasks:write'), resolveWorkspace, requireWorkspaceRole('owner', 'editor'));
+
+// Helper: load the task within the request's task scope, replying 404 if missing
+const findTask = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ success: false, error: 'Invalid task id.' });
+    return null;
+  }
+  const task = await Task.findOne({ _id: req.params.id, ...req.taskScope });
+  if (!task) {
+    res.status(404).json({ success: false, error: 'Task not found.' });
+    return null;
+  }
+  return task;
+};
+
+// Helper: renumber, apply the auto-complete rule (held back while a blocker is
+// open), save and send the task back (with the next occurrence if
+// auto-completing finished a recurring task)
+const saveAndRespond = async (task, res, status = 200) => {
+  task.normalizeChecklist();
+  await applyChecklistStatusUnlessBlocked(task);
+  await task.save();
+  const nextOccurrence = await task.spawnNextOccurrence();
+  await task.populate(Task.RESPONSE_POPULATE);
+  res.status(status).json({ success: true, task, nextOccurrence });
+};
+
+const itemIdRule = param('itemId').isMongoId().withMessage('Invalid checklist item id');
+const itemTextRule = () => body('text')
+  .trim()
+  .notEmpty().withMessage('Checklist item text is required')
+  .isLength({ max: 200 }).withMessage('Checklist item cannot exceed 200 characters');
+
+// @route   POST /api/tasks/:id/checklist
+// @desc    Add a checklist item at the end
+// @access  Private (owner/editor)
+router.post('/', [itemTextRule()], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+    });
+  }
+
+  try {
+    const task = await findTask(req, res);
+    if (!task) return;
+
+    if (task.checklist.length >= Task.MAX_CHECKLIST_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        error: `A checklist can have at most ${Task.MAX_CHECKLIST_ITEMS} items.`,
+      });
+    }
+
+    task.checklist.push({ text: req.body.text, order: task.checklist.length });
+    await saveAndRespond(task, res, 201);
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to add checklist item.' });
+  }
+});
+
+// @route   PUT /api/tasks/:id/checklist/order
+// @desc    Reorder the checklist; itemIds must list every item exactly once
+// @access  Private (owner/editor)
+router.put(
+  '/order',
+  [
+    body('itemIds').isArray().withMessage('itemIds must be a list of checklist item ids'),
+    body('itemIds.*').isMongoId().withMessage('Invalid checklist item id'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    try {
+      const task = await findTask(req, res);
+      if (!task) return;
+
+      const { itemIds } = req.body;
+      const isPermutation = itemIds.length === task.checklist.length
+        && new Set(itemIds).size === itemIds.length
+        && itemIds.every((id) => task.checklist.id(id));
+      if (!isPermutation) {
+        return res.status(400).json({
+          success: false,
+          error: 'itemIds must list every checklist item exactly once.',
+        });
+      }
+
+      itemIds.forEach((id, index) => { task.checklist.id(id).order = index; });
+      await saveAndRespond(task, res);
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to reorder checklist.' });
+    }
+  }
+);
+
+// @route   PATCH /api/tasks/:id/checklist/:itemId
+// @desc    Tick/untick or rename a checklist item
+// @access  Private (owner/editor)
+router.patch(
+  '/:itemId',
+  [
+    itemIdRule,
+    itemTextRule().optional(),
+    body('done').optional().isBoolean().withMessage('done must be true or false').toBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    try {
+      const task = await findTask(req, res);
+      if (!task) return;
+
+      const item = task.checklist.id(req.params.itemId);
+      if (!item) {
+        return res.status(404).json({ success: false, error: 'Checklist item not found.' });
+      }
+
+      if (req.body.text !== undefined) item.text = req.body.text;
+      if (req.body.done !== undefined) item.done = req.body.done;
+      await saveAndRespond(task, res);
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to update checklist item.' });
+    }
+  }
+);
+
+// @route   DELETE /api/tasks/:id/checklist/:itemId
+// @desc    Remove a checklist item
+// @access  Private (owner/editor)
+router.delete('/:itemId', [itemIdRule], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+    });
+  }
+
+  try {
+    const task = await findTask(req, res);
+    if (!task) return;
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ success: false, error: 'Checklist item not found.' });
+    }
+
+    item.deleteOne();
+    await saveAndRespond(task, res);
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to remove checklist item.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+const express = require('express');
+// Mounted at /api/tasks/:id/comments; mergeParams exposes the task :id
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { resolveWorkspace, requireWorkspaceRole } = require('../middleware/workspace');
+const Comment = require('../models/Comment');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { resolveMentions } = require('../utils/mentions');
+
+const USER_FIELDS = 'name email';
+
+// Viewers can read the discussion; joining it takes editor or owner
+const canComment = requireWorkspaceRole('owner', 'editor');
+
+// Helper: load the parent task within the request's task scope, replying 404 if missing
+const loadTask = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid task id.' });
+  }
+
+  try {
+    const task = await Task.findOne({ _id: req.params.id, ...req.taskScope }).select('_id');
+    if (!task) {
+      return res.status(404).json({ success: false, error: 'Task not found.' });
+    }
+    req.task = task;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to load task.' });
+  }
+};
+
+// Helper: ids of the users @mentioned in the text, limited to people who can see the task
+const getMentionIds = async (req, text) => {
+  const memberIds = req.workspace ? req.workspace.members.map((m) => m.user) : [req.user._id];
+  const members = await User.find({ _id: { $in: memberIds } }).select('email');
+  return resolveMentions(text, members).map((u) => u._id);
+};
+
+// Helper: load one of this task's comments, replying 404 if missing and 403 if
+// the current user didn't write it
+const findOwnComment = async (req, res) => {
+  const comment = await Comment.findOne({ _id: req.params.commentId, task: req.task._id });
+  if (!comment) {
+    res.status(404).json({ success: false, error: 'Comment not found.' });
+    return null;
+  }
+  if (!comment.author.equals(req.user._id)) {
+    res.status(403).json({ success: false, error: 'You can only change your own comments.' });
+    return null;
+  }
+  return comment;
+};
+
+const commentBodyRule = body('body')
+  .trim()
+  .notEmpty().withMessage('Comment cannot be empty')
+  .isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters');
+const commentIdRule = param('commentId').isMongoId().withMessage('Invalid comment id');
+
+router.use(authenticate, resolveWorkspace, loadTask);
+
+// @route   GET /api/tasks/:id/comments
+// @desc    List a task's comments, oldest first
+// @access  Private
+router.get('/', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const comments = await Comment.find({ task: req.task._id })
+      .sort({ createdAt: 1 })
+      .populate('author', USER_FIELDS)
+      .populate('mentions', USER_FIELDS);
+    res.json({ success: true, comments });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to fetch comments.' });
+  }
+});
+
+// @route   POST /api/tasks/:id/comments
+// @desc    Add a comment
+// @access  Private (owner/editor)
+router.post('/', requireScope('tasks:write'), canComment, [commentBodyRule], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+    });
+  }
+
+  try {
+    const comment = await Comment.create({
+      task: req.task._id,
+      author: req.user._id,
+      body: req.body.body,
+      mentions: await getMentionIds(req, req.body.body),
+    });
+    await comment.populate([
+      { path: 'author', select: USER_FIELDS },
+      { path: 'mentions', select: USER_FIELDS },
+    ]);
+    res.status(201).json({ success: true, comment });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to add comment.' });
+  }
+});
+
+// @route   PUT /api/tasks/:id/comments/:commentId
+// @desc    Edit your own comment
+// @access  Private (author, while owner/editor)
+router.put('/:commentId', requireScope('tasks:write'), canComment, [commentIdRule, commentBodyRule], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+    });
+  }
+
+  try {
+    const comment = await findOwnComment(req, res);
+    if (!comment) return;
+
+    comment.body = req.body.body;
+    comment.mentions = await getMentionIds(req, req.body.body);
+    comment.editedAt = new Date();
+    await comment.save();
+    await comment.populate([
+      { path: 'author', select: USER_FIELDS },
+      { path: 'mentions', select: USER_FIELDS },
+    ]);
+    res.json({ success: true, comment });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to update comment.' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/comments/:commentId
+// @desc    Delete your own comment
+// @access  Private (author, while owner/editor)
+router.delete('/:commentId', requireScope('tasks:write'), canComment, [commentIdRule], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+    });
+  }
+
+  try {
+    const comment = await findOwnComment(req, res);
+    if (!comment) return;
+
+    await comment.deleteOne();
+    res.json({ success: true, message: 'Comment deleted.' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to delete comment.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const express = require('express');
+// Mounted at /api/tasks/:id/blocked-by; mergeParams exposes the task :id
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { resolveWorkspace, requireWorkspaceRole } = require('../middleware/workspace');
+const Task = require('../models/Task');
+const { wouldCreateCycle } = require('../utils/dependencies');
+
+const MAX_BLOCKERS = 20;
+
+// Linking tasks is a task change: editor or owner, and a tasks:write key
+router.use(authenticate, requireScope('tasks:write'), resolveWorkspace, requireWorkspaceRole('owner', 'editor'));
+
+// Helper: load the task within the request's task scope, replying 404 if missing
+const findTask = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ success: false, error: 'Invalid task id.' });
+    return null;
+  }
+  const task = await Task.findOne({ _id: req.params.id, ...req.taskScope });
+  if (!task) {
+    res.status(404).json({ success: false, error: 'Task not found.' });
+    return null;
+  }
+  return task;
+};
+
+// @route   POST /api/tasks/:id/blocked-by
+// @desc    Mark the task as blocked by another task in the same list
+// @access  Private (owner/editor)
+router.post('/', [body('taskId').isMongoId().withMessage('Invalid task id')], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+    });
+  }
+
+  try {
+    const task = await findTask(req, res);
+    if (!task) return;
+
+    const { taskId } = req.body;
+    if (task.blockedBy.some((id) => id.equals(taskId))) {
+      await task.populate(Task.RESPONSE_POPULATE);
+      return res.json({ success: true, task });
+    }
+    if (task.blockedBy.length >= MAX_BLOCKERS) {
+      return res.status(400).json({ success: false, error: `A task can have at most ${MAX_BLOCKERS} blockers.` });
+    }
+
+    // Blockers come from the same task list, so links never leak across workspaces
+    const blocker = await Task.findOne({ _id: taskId, ...req.taskScope }).select('_id');
+    if (!blocker) {
+      return res.status(404).json({ success: false, error: 'Blocking task not found.' });
+    }
+    if (await wouldCreateCycle(task._id, blocker._id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'That would create a circular dependency.',
+      });
+    }
+
+    task.blockedBy.push(blocker._id);
+    await task.save();
+    await task.populate(Task.RESPONSE_POPULATE);
+    res.status(201).json({ success: true, task });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to link tasks.' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/blocked-by/:blockerId
+// @desc    Remove a blocked-by link
+// @access  Private (owner/editor)
+router.delete(
+  '/:blockerId',
+  [param('blockerId').isMongoId().withMessage('Invalid task id')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    try {
+      const task = await findTask(req, res);
+      if (!task) return;
+
+      task.blockedBy.pull(req.params.blockerId);
+      await task.save();
+      await task.populate(Task.RESPONSE_POPULATE);
+      res.json({ success: true, task });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to unlink tasks.' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { getProvider, getEnabledProviders } = require('../config/oauth');
+const { createAuthRequest, buildAuthorizationUrl, exchangeCode, fetchProfile } = require('../utils/oauth');
+const { createSession, deliverTokens, generateChallengeToken } = require('../utils/tokens');
+
+const STATE_COOKIE = 'oauth_state';
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// The provider redirects back with a top-level cross-site navigation, which
+// SameSite=Strict cookies aren't sent on — the state cookie has to be Lax.
+const stateCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api/auth/oauth',
+};
+
+// Helper: callback URL registered with the provider
+const getRedirectUri = (req, providerId) => {
+  const apiUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}/api`;
+  return `${apiUrl}/auth/oauth/${providerId}/callback`;
+};
+
+// Helper: send the browser back to the frontend with the outcome in the URL
+// fragment, which never reaches server logs or Referer headers
+const redirectToFrontend = (res, params) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  res.redirect(`${frontendUrl}/oauth/callback#${new URLSearchParams(params).toString()}`);
+};
+
+// Helper: find the account for an external identity, linking or creating one
+// by verified email when it's the first sign-in with this provider
+const findOrCreateUser = async (providerId, profile) => {
+  const lockoutFields = '+failedLoginAttempts +lockUntil +lockoutCount';
+  const linked = await User.findOne({
+    oauthAccounts: { $elemMatch: { provider: providerId, subject: profile.subject } },
+  }).select(lockoutFields);
+  if (linked) return { user: linked };
+
+  if (!profile.email || !profile.emailVerified) {
+    return { error: 'Your provider did not share a verified email address.' };
+  }
+
+  const identity = { provider: providerId, subject: profile.subject, email: profile.email };
+  const existing = await User.findOne({ email: profile.email }).select(`+password ${lockoutFields}`);
+
+  if (existing) {
+    // Whoever registered an unverified account never proved they own the
+    // address; drop their password and sessions so they can't keep access.
+    if (!existing.emailVerified) {
+      existing.password = undefined;
+      existing.emailVerified = true;
+      await Session.revokeAllForUser(existing._id, 'oauth-link');
+    }
+    existing.oauthAccounts.push(identity);
+    await existing.save({ validateBeforeSave: false });
+    existing.password = undefined;
+    return { user: existing };
+  }
+
+  const fallbackName = profile.email.split('@')[0];
+  const name = (profile.name.trim().length >= 2 ? profile.name.trim() : fallbackName).slice(0, 50);
+  const user = await User.create({
+    name: name.length >= 2 ? name : 'User',
+    email: profile.email,
+    emailVerified: true,
+    oauthAccounts: [identity],
+  });
+  return { user };
+};
+
+// @route   GET /api/auth/oauth/providers
+// @desc    List sign-in providers that are configured
+// @access  Public
+router.get('/providers', (req, res) => {
+  res.json({ success: true, providers: getEnabledProviders() });
+});
+
+// @route   GET /api/auth/oauth/:provider
+// @desc    Start sign-in: redirect to the provider's consent screen
+// @access  Public
+router.get('/:provider', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ success: false, error: 'Unknown sign-in provider.' });
+  }
+
+  try {
+    const authRequest = createAuthRequest();
+    const url = await buildAuthorizationUrl(provider, {
+      ...authRequest,
+      redirectUri: getRedirectUri(req, provider.id),
+    });
+
+    // PKCE verifier, state and nonce travel in a signed cookie, not the session store
+    const stateToken = jwt.sign(
+      { provider: provider.id, state: authRequest.state, nonce: authRequest.nonce, codeVerifier: authRequest.codeVerifier },
+      process.env.JWT_SECRET,
+      { expiresIn: STATE_TTL_MS / 1000 }
+    );
+    res.cookie(STATE_COOKIE, stateToken, { ...stateCookieOptions, maxAge: STATE_TTL_MS });
+    res.redirect(url);
+  } catch (error) {
+    console.error('OAuth start error:', error);
+    redirectToFrontend(res, { error: 'Could not reach the sign-in provider.' });
+  }
+});
+
+// @route   GET /api/auth/oauth/:provider/callback
+// @desc    Finish sign-in: exchange the code, link the account, start a session
+// @access  Public (requires state cookie from /:provider)
+router.get('/:provider/callback', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  const stateToken = req.cookies?.[STATE_COOKIE];
+  res.clearCookie(STATE_COOKIE, stateCookieOptions);
+
+  if (!provider) {
+    return redirectToFrontend(res, { error: 'Unknown sign-in provider.' });
+  }
+  if (req.query.error) {
+    return redirectToFrontend(res, { error: 'Sign-in was cancelled.' });
+  }
+
+  let pending;
+  try {
+    pending = jwt.verify(stateToken, process.env.JWT_SECRET);
+  } catch {
+    pending = null;
+  }
+  if (!pending || pending.provider !== provider.id || pending.state !== req.query.state || !req.query.code) {
+    return redirectToFrontend(res, { error: 'Sign-in request expired. Please try again.' });
+  }
+
+  try {
+    const tokens = await exchangeCode(provider, {
+      code: String(req.query.code),
+      codeVerifier: pending.codeVerifier,
+      redirectUri: getRedirectUri(req, provider.id),
+    });
+    const profile = await fetchProfile(provider, tokens, pending.nonce);
+
+    const { user, error } = await findOrCreateUser(provider.id, profile);
+    if (error) return redirectToFrontend(res, { error });
+
+    if (user.disabled) {
+      return redirectToFrontend(res, { error: 'This account has been disabled. Contact an administrator.' });
+    }
+    if (user.isLocked()) {
+      return redirectToFrontend(res, { error: 'Account is temporarily locked. Please try again later.' });
+    }
+
+    // Same policy as password login: an admin-forced reset blocks every way in
+    if (user.passwordResetRequired) {
+      return redirectToFrontend(res, { error: 'A password reset is required. Check your email or use "Forgot password".' });
+    }
+
+    // SSO replaces the password step only; 2FA still applies
+    if (user.twoFactorEnabled) {
+      return redirectToFrontend(res, { challengeToken: generateChallengeToken(user._id) });
+    }
+
+    // Failures are only cleared once the whole login succeeds
+    await user.resetLoginAttempts();
+
+    const session = await createSession(user, req);
+    redirectToFrontend(res, { success: '1', ...deliverTokens(res, session) });
+  } catch (error) {
+    console.error('OAuth callback error:', error);
+    redirectToFrontend(res, { error: 'Sign-in with this provider failed.' });
+  }
+});
+
+module.exports = router;
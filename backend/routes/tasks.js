@@ -1,8 +1,269 @@
 const express = require('express');
 const router = express.Router();
 const { body, query, param, validationResult } = require('express-validator');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, allowApiKey, requireScope } = require('../middleware/auth');
+const { resolveWorkspace, requireWorkspaceRole } = require('../middleware/workspace');
+const mongoose = require('mongoose');
+const { Readable, pipeline } = require('stream');
 const Task = require('../models/Task');
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const TaskActivity = require('../models/TaskActivity');
+const commentRoutes = require('./comments');
+const checklistRoutes = require('./checklist');
+const dependencyRoutes = require('./dependencies');
+const { findOpenBlockers, applyChecklistStatusUnlessBlocked } = require('../utils/dependencies');
+const { normalizeRule, parseRule } = require('../utils/recurrence');
+const { rankBetween } = require('../utils/rank');
+const { toCsvRow } = require('../utils/csv');
+const { IMPORT_FIELDS, IMPORT_FORMATS, readImport } = require('../utils/importers');
+
+// Viewers can read a workspace's tasks; changing them takes editor or owner
+const canEditTasks = requireWorkspaceRole('owner', 'editor');
+
+// Fields clients may set; ownership and workspace come from the request context
+const TASK_FIELDS = [
+  'title', 'description', 'status', 'priority', 'dueDate', 'tags', 'assignees', 'checklist', 'completeOnChecklistDone',
+];
+const pickTaskFields = (body) => {
+  const fields = TASK_FIELDS.reduce((picked, key) => {
+    if (body[key] !== undefined) picked[key] = body[key];
+    return picked;
+  }, {});
+  // A submitted checklist replaces the old one in the order given; items keep
+  // their _id when sent back
+  if (fields.checklist) {
+    fields.checklist = fields.checklist.map((item, index) => ({
+      ...(item._id && { _id: item._id }),
+      text: item.text,
+      done: item.done === true,
+      order: index,
+    }));
+  }
+  return fields;
+};
+
+// Who tasks here can be assigned to: any member of the workspace, or only
+// yourself for personal tasks
+const isAssignable = (req, userId) =>
+  (req.workspace ? !!req.workspace.getRole(userId) : req.user._id.equals(userId));
+
+const unassignableError = (req) => (req.workspace
+  ? 'Tasks can only be assigned to members of this workspace.'
+  : 'Personal tasks can only be assigned to yourself.');
+
+// Helper: reply 400 unless every id can be assigned here. Returns true if it replied.
+const rejectUnassignable = (req, res, userIds) => {
+  if (userIds.every((id) => isAssignable(req, id))) return false;
+
+  res.status(400).json({ success: false, error: unassignableError(req) });
+  return true;
+};
+
+const assigneeRules = [
+  body('assignees').optional().isArray({ max: 20 }).withMessage('Assignees must be a list of up to 20 users'),
+  body('assignees.*').isMongoId().withMessage('Invalid assignee id'),
+];
+
+const checklistRules = [
+  body('checklist')
+    .optional()
+    .isArray({ max: Task.MAX_CHECKLIST_ITEMS })
+    .withMessage(`A checklist can have at most ${Task.MAX_CHECKLIST_ITEMS} items`),
+  body('checklist.*._id').optional().isMongoId().withMessage('Invalid checklist item id'),
+  body('checklist.*.text')
+    .trim()
+    .notEmpty().withMessage('Checklist item text is required')
+    .isLength({ max: 200 }).withMessage('Checklist item cannot exceed 200 characters'),
+  body('checklist.*.done').optional().isBoolean(),
+  body('completeOnChecklistDone').optional().isBoolean(),
+];
+
+// { rule: 'FREQ=WEEKLY;BYDAY=MO' } to repeat, null to stop repeating
+const recurrenceRule = body('recurrence')
+  .optional({ values: 'null' })
+  .custom((value) => {
+    if (typeof value !== 'object' || typeof value.rule !== 'string') {
+      throw new Error('Recurrence must be an object with a rule');
+    }
+    parseRule(value.rule);
+    return true;
+  });
+
+const RECURRENCE_NEEDS_DUE_DATE = 'Recurring tasks need a due date.';
+
+// A new task's fields (POST /api/tasks, and each row of an import)
+const createTaskRules = [
+  body('title')
+    .trim()
+    .notEmpty().withMessage('Title is required')
+    .isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('status').optional().isIn(['todo', 'in-progress', 'done']),
+  body('priority').optional().isIn(['low', 'medium', 'high']),
+  body('dueDate').optional().isISO8601().withMessage('Invalid date format'),
+  body('tags').optional().isArray(),
+  ...assigneeRules,
+  ...checklistRules,
+  recurrenceRule,
+];
+
+// Tasks in the trash of the current list (req.taskScope itself excludes them)
+const trashScope = (req) => ({ ...req.taskScope, deletedAt: { $ne: null } });
+
+const blockedError = (count) => `This task is blocked by ${count} unfinished task${count === 1 ? '' : 's'}.`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A month view shows up to six weeks; leave room for a little more
+const MAX_CALENDAR_DAYS = 62;
+const MAX_CALENDAR_TASKS = 500;
+
+// Export columns, in file order: how each is read from a task (a plain object
+// with assignees populated, so older documents may lack array fields). Lists
+// become comma-separated cells in CSV.
+const EXPORT_COLUMNS = {
+  id: (task) => String(task._id),
+  title: (task) => task.title,
+  description: (task) => task.description || '',
+  status: (task) => task.status,
+  priority: (task) => task.priority,
+  dueDate: (task) => (task.dueDate ? task.dueDate.toISOString().slice(0, 10) : null),
+  tags: (task) => task.tags || [],
+  assignees: (task) => (task.assignees || []).map((user) => user.email),
+  checklist: (task) => (task.checklist && task.checklist.length > 0
+    ? `${task.checklist.filter((item) => item.done).length}/${task.checklist.length}`
+    : null),
+  recurrence: (task) => (task.recurrence ? task.recurrence.rule : null),
+  createdAt: (task) => task.createdAt.toISOString(),
+  updatedAt: (task) => task.updatedAt.toISOString(),
+};
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Imported rows count as duplicates of a task (or an earlier row) with the
+// same title, ignoring case, and the same due date
+const duplicateKey = (title, dueDate) =>
+  `${String(title).trim().toLowerCase()}|${dueDate ? new Date(dueDate).toISOString().slice(0, 10) : ''}`;
+
+const BULK_ACTIONS = ['status', 'priority', 'addTags', 'removeTags', 'dueDate', 'delete'];
+const MAX_BULK_TASKS = 100;
+
+// The `value` each bulk action expects
+const bulkValueRule = body('value').custom((value, { req }) => {
+  switch (req.body.action) {
+    case 'status':
+      if (!['todo', 'in-progress', 'done'].includes(value)) throw new Error('Status must be todo, in-progress or done');
+      break;
+    case 'priority':
+      if (!['low', 'medium', 'high'].includes(value)) throw new Error('Priority must be low, medium or high');
+      break;
+    case 'addTags':
+    case 'removeTags':
+      if (!Array.isArray(value) || value.length === 0 || !value.every((tag) => typeof tag === 'string' && tag.trim())) {
+        throw new Error('Tags must be a non-empty list of tags');
+      }
+      break;
+    case 'dueDate':
+      if (value !== null && (typeof value !== 'string' || Number.isNaN(Date.parse(value)))) {
+        throw new Error('Due date must be a date, or null to clear it');
+      }
+      break;
+  }
+  return true;
+});
+
+// Apply one bulk action to a loaded task and save it. Returns an error message
+// for this task, or null on success; `result` collects extra per-task output.
+const applyBulkAction = async (task, action, value, result) => {
+  switch (action) {
+    case 'status': {
+      if (['in-progress', 'done'].includes(value) && task.status !== value) {
+        const openBlockers = await findOpenBlockers(task);
+        if (openBlockers.length > 0) return blockedError(openBlockers.length);
+      }
+      // A task changing column goes to the top of its new column on the board
+      if (task.status !== value) task.position = null;
+      task.status = value;
+      break;
+    }
+    case 'priority':
+      task.priority = value;
+      break;
+    case 'addTags':
+      task.tags = [...new Set([...task.tags, ...value.map((tag) => tag.trim())])];
+      break;
+    case 'removeTags': {
+      const removed = value.map((tag) => tag.trim());
+      task.tags = task.tags.filter((tag) => !removed.includes(tag));
+      break;
+    }
+    case 'dueDate':
+      if (value === null && task.recurrence) return RECURRENCE_NEEDS_DUE_DATE;
+      task.dueDate = value;
+      break;
+    case 'delete':
+      task.deletedAt = new Date();
+      break;
+  }
+  await task.save();
+
+  if (action === 'status') {
+    const nextOccurrence = await task.spawnNextOccurrence();
+    if (nextOccurrence) result.nextOccurrence = nextOccurrence._id;
+  }
+  return null;
+};
+
+// Query validators for the list's search/filter options (see buildListFilter)
+const listFilterRules = [
+  query('status').optional().isIn(['todo', 'in-progress', 'done']),
+  query('priority').optional().isIn(['low', 'medium', 'high']),
+  query('search').optional().trim(),
+  query('tag').optional().trim(),
+  query('assignee')
+    .optional()
+    .custom((value) => value === 'me' || mongoose.isValidObjectId(value))
+    .withMessage('Assignee must be "me" or a user id'),
+  query('blocked').optional().isBoolean().withMessage('blocked must be true or false').toBoolean(),
+];
+
+// Query validators for the list's sort options
+const listSortRules = [
+  query('sortBy').optional().isIn(['createdAt', 'dueDate', 'priority', 'title', 'assignee', 'position']),
+  query('order').optional().isIn(['asc', 'desc']),
+];
+
+// Task filter for the list's search/filter options (shared by the list, calendar, export and bulk routes)
+const buildListFilter = async (req, { status, priority, search, tag, assignee, blocked }) => {
+  const filter = { ...req.taskScope };
+  if (status) filter.status = status;
+  if (priority) filter.priority = priority;
+  if (tag) filter.tags = tag;
+  if (assignee) {
+    // Cast up front: the assignee sort runs through aggregate(), which doesn't cast
+    filter.assignees = assignee === 'me' ? req.user._id : new mongoose.Types.ObjectId(assignee);
+  }
+  if (search) {
+    filter.$or = [
+      { title: { $regex: search, $options: 'i' } },
+      { description: { $regex: search, $options: 'i' } },
+      { tags: { $in: [new RegExp(search, 'i')] } },
+    ];
+  }
+  // Blocked = waiting on at least one unfinished task from the same list
+  if (blocked !== undefined) {
+    const openTaskIds = await Task.find({ ...req.taskScope, status: { $ne: 'done' } }).distinct('_id');
+    filter.blockedBy = blocked ? { $in: openTaskIds } : { $nin: openTaskIds };
+  }
+  return filter;
+};
+
+// Scripts and CI can use personal API keys here, limited by their scopes
+router.use(allowApiKey);
+
+router.use('/:id/comments', commentRoutes);
+router.use('/:id/checklist', checklistRoutes);
+router.use('/:id/blocked-by', dependencyRoutes);
 
 // @route   GET /api/tasks
 // @desc    Get all tasks for user (with search & filter)
@@ -10,43 +271,58 @@ const Task = require('../models/Task');
 router.get(
   '/',
   authenticate,
+  requireScope('tasks:read'),
+  resolveWorkspace,
   [
-    query('status').optional().isIn(['todo', 'in-progress', 'done']),
-    query('priority').optional().isIn(['low', 'medium', 'high']),
-    query('search').optional().trim(),
+    ...listFilterRules,
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
-    query('sortBy').optional().isIn(['createdAt', 'dueDate', 'priority', 'title']),
-    query('order').optional().isIn(['asc', 'desc']),
+    ...listSortRules,
   ],
   async (req, res) => {
-    const { status, priority, search, page = 1, limit = 10, sortBy = 'createdAt', order = 'desc' } = req.query;
-
-    // Build query
-    const filter = { user: req.user._id };
-    if (status) filter.status = status;
-    if (priority) filter.priority = priority;
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } },
-      ];
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
     }
 
+    const { page = 1, limit = 10, sortBy = 'createdAt', order = 'desc' } = req.query;
+
     const sortOrder = order === 'asc' ? 1 : -1;
-    const sortOptions = { [sortBy]: sortOrder };
+    // position = board order, which also needs its tie-break for unranked tasks
+    const sortOptions = sortBy === 'position' ? Task.BOARD_SORT : { [sortBy]: sortOrder };
 
     try {
+      const filter = await buildListFilter(req, req.query);
       const total = await Task.countDocuments(filter);
-      const tasks = await Task.find(filter)
-        .sort(sortOptions)
-        .skip((page - 1) * limit)
-        .limit(Number(limit));
+      let tasks;
+      if (sortBy === 'assignee') {
+        // Sort by the alphabetically first assignee's name; unassigned tasks sort as empty
+        const rows = await Task.aggregate([
+          { $match: filter },
+          { $lookup: { from: 'users', localField: 'assignees', foreignField: '_id', as: 'assigneeUsers' } },
+          { $addFields: { assigneeName: { $min: '$assigneeUsers.name' } } },
+          { $sort: { assigneeName: sortOrder, createdAt: -1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: Number(limit) },
+          { $project: { assigneeUsers: 0, assigneeName: 0 } },
+        ]);
+        tasks = await Task.populate(rows.map((row) => Task.hydrate(row)), Task.RESPONSE_POPULATE);
+      } else {
+        tasks = await Task.find(filter)
+          .sort(sortOptions)
+          .skip((page - 1) * limit)
+          .limit(Number(limit))
+          .populate(Task.RESPONSE_POPULATE);
+      }
+
+      const commentCounts = await Comment.countByTask(tasks.map((t) => t._id));
 
       res.json({
         success: true,
-        tasks,
+        tasks: tasks.map((t) => ({ ...t.toJSON(), commentCount: commentCounts[t._id] || 0 })),
         pagination: {
           total,
           page: Number(page),
@@ -60,23 +336,452 @@ router.get(
   }
 );
 
+// @route   GET /api/tasks/calendar
+// @desc    Tasks due in a date window [from, to), earliest first; accepts the list filters
+// @access  Private
+router.get(
+  '/calendar',
+  authenticate,
+  requireScope('tasks:read'),
+  resolveWorkspace,
+  [
+    query('from').isISO8601().withMessage('from must be a date').toDate(),
+    query('to')
+      .isISO8601().withMessage('to must be a date')
+      .toDate()
+      .custom((to, { req }) => {
+        if (!(req.query.from instanceof Date)) return true; // reported on from
+        const days = (to - req.query.from) / DAY_MS;
+        if (!(days > 0)) throw new Error('to must be after from');
+        if (days > MAX_CALENDAR_DAYS) throw new Error(`The window can be at most ${MAX_CALENDAR_DAYS} days`);
+        return true;
+      }),
+    ...listFilterRules,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    const { from, to } = req.query;
+
+    try {
+      const filter = await buildListFilter(req, req.query);
+      filter.dueDate = { $gte: from, $lt: to };
+
+      const tasks = await Task.find(filter)
+        .sort({ dueDate: 1, createdAt: 1 })
+        .limit(MAX_CALENDAR_TASKS + 1)
+        .populate(Task.RESPONSE_POPULATE);
+
+      res.json({
+        success: true,
+        tasks: tasks.slice(0, MAX_CALENDAR_TASKS),
+        // More tasks are due in the window than one response returns
+        truncated: tasks.length > MAX_CALENDAR_TASKS,
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to fetch calendar.' });
+    }
+  }
+);
+
+// @route   GET /api/tasks/export
+// @desc    Download every task matching the list filters and sort, as CSV or a
+//          JSON array, streamed as it is read. `columns` picks and orders the fields.
+// @access  Private
+router.get(
+  '/export',
+  authenticate,
+  requireScope('tasks:read'),
+  resolveWorkspace,
+  [
+    query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json'),
+    query('columns')
+      .optional()
+      .customSanitizer((value) => [...new Set(String(value).split(',').map((c) => c.trim()).filter(Boolean))])
+      .custom((columns) => columns.length > 0 && columns.every((c) => Object.hasOwn(EXPORT_COLUMNS, c)))
+      .withMessage(`Columns must be a comma-separated list of: ${Object.keys(EXPORT_COLUMNS).join(', ')}`),
+    ...listFilterRules,
+    ...listSortRules,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    const { format = 'csv', columns = Object.keys(EXPORT_COLUMNS), sortBy = 'createdAt', order = 'desc' } = req.query;
+    const sortOrder = order === 'asc' ? 1 : -1;
+
+    try {
+      const filter = await buildListFilter(req, req.query);
+      // Same order as the list route, read with a cursor so any number of tasks fits
+      const cursor = sortBy === 'assignee'
+        ? Task.aggregate([
+          { $match: filter },
+          { $lookup: { from: 'users', localField: 'assignees', foreignField: '_id', as: 'assignees' } },
+          { $addFields: { assigneeName: { $min: '$assignees.name' } } },
+          { $sort: { assigneeName: sortOrder, createdAt: -1 } },
+        ]).cursor()
+        : Task.find(filter)
+          .sort(sortBy === 'position' ? Task.BOARD_SORT : { [sortBy]: sortOrder })
+          .populate('assignees', 'email')
+          .lean()
+          .cursor();
+
+      const pickColumns = (task) => Object.fromEntries(columns.map((c) => [c, EXPORT_COLUMNS[c](task)]));
+
+      async function* generate() {
+        let first = true;
+        if (format === 'csv') yield toCsvRow(columns);
+        else yield '[';
+        for await (const task of cursor) {
+          const row = pickColumns(task);
+          if (format === 'csv') {
+            yield toCsvRow(columns.map((c) => (Array.isArray(row[c]) ? row[c].join(', ') : row[c])));
+          } else {
+            yield `${first ? '' : ','}\n${JSON.stringify(row)}`;
+          }
+          first = false;
+        }
+        if (format === 'json') yield '\n]\n';
+      }
+
+      res.set({
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+        'Content-Disposition': `attachment; filename="tasks-${new Date().toISOString().slice(0, 10)}.${format}"`,
+      });
+      // Ends the response, or cuts it off if reading fails part way through
+      pipeline(Readable.from(generate()), res, () => cursor.close().catch(() => {}));
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to export tasks.' });
+    }
+  }
+);
+
+// @route   GET /api/tasks/trash
+// @desc    List deleted tasks, most recently deleted first
+// @access  Private
+router.get(
+  '/trash',
+  authenticate,
+  requireScope('tasks:read'),
+  resolveWorkspace,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    const { page = 1, limit = 10 } = req.query;
+
+    try {
+      const filter = trashScope(req);
+      const [tasks, total] = await Promise.all([
+        Task.find(filter)
+          .sort({ deletedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(Number(limit))
+          .populate(Task.RESPONSE_POPULATE),
+        Task.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        // When the automatic purge will delete each task for good
+        tasks: tasks.map((t) => ({ ...t.toJSON(), purgeAt: new Date(t.deletedAt.getTime() + Task.TRASH_RETENTION_MS) })),
+        pagination: {
+          total,
+          page: Number(page),
+          pages: Math.ceil(total / limit),
+          limit: Number(limit),
+        },
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to fetch trash.' });
+    }
+  }
+);
+
+// @route   DELETE /api/tasks/trash
+// @desc    Empty the trash: permanently delete every task in it
+// @access  Private (owner/editor)
+router.delete('/trash', authenticate, requireScope('tasks:write'), resolveWorkspace, canEditTasks, async (req, res) => {
+  try {
+    const deleted = await Task.purge(trashScope(req));
+    res.json({ success: true, message: 'Trash emptied.', deleted });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to empty trash.' });
+  }
+});
+
+// @route   POST /api/tasks/bulk
+// @desc    Apply one action to several tasks, picked by id or by list filter
+// @access  Private (owner/editor)
+router.post(
+  '/bulk',
+  authenticate,
+  requireScope('tasks:write'),
+  resolveWorkspace,
+  canEditTasks,
+  [
+    body('action').isIn(BULK_ACTIONS).withMessage(`Action must be one of ${BULK_ACTIONS.join(', ')}`),
+    bulkValueRule,
+    body('ids')
+      .optional()
+      .isArray({ min: 1, max: MAX_BULK_TASKS })
+      .withMessage(`ids must be a list of 1 to ${MAX_BULK_TASKS} task ids`),
+    body('ids.*').isMongoId().withMessage('Invalid task id'),
+    body('filter').optional().isObject().withMessage('Filter must be an object'),
+    body('filter.status').optional().isIn(['todo', 'in-progress', 'done']),
+    body('filter.priority').optional().isIn(['low', 'medium', 'high']),
+    body('filter.search').optional().isString().trim(),
+    body('filter.tag').optional().isString().trim(),
+    body('filter.assignee')
+      .optional()
+      .custom((value) => value === 'me' || mongoose.isValidObjectId(value))
+      .withMessage('Assignee must be "me" or a user id'),
+    body('filter.blocked').optional().isBoolean().withMessage('blocked must be true or false').toBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    const { action, value, ids, filter } = req.body;
+    if (!ids === !filter) {
+      return res.status(400).json({ success: false, error: 'Send either ids or a filter.' });
+    }
+
+    try {
+      const query = ids
+        ? { _id: { $in: ids }, ...req.taskScope }
+        : await buildListFilter(req, filter);
+      const tasks = await Task.find(query).limit(MAX_BULK_TASKS + 1);
+      if (!ids && tasks.length > MAX_BULK_TASKS) {
+        return res.status(400).json({
+          success: false,
+          error: `The filter matches more than ${MAX_BULK_TASKS} tasks. Narrow it down and try again.`,
+        });
+      }
+
+      // Ids outside this list (or in the trash) are reported, not silently skipped
+      const tasksById = new Map(tasks.map((task) => [String(task._id), task]));
+      const targetIds = ids ? [...new Set(ids.map((id) => id.toLowerCase()))] : [...tasksById.keys()];
+
+      const results = [];
+      for (const id of targetIds) {
+        const task = tasksById.get(id);
+        const result = { id };
+        if (!task) {
+          results.push({ ...result, success: false, error: 'Task not found.' });
+          continue;
+        }
+        try {
+          const error = await applyBulkAction(task, action, value, result);
+          results.push(error ? { ...result, success: false, error } : { ...result, success: true });
+        } catch (error) {
+          results.push({ ...result, success: false, error: 'Failed to update task.' });
+        }
+      }
+
+      const succeeded = results.filter((r) => r.success).length;
+      res.json({
+        success: true,
+        results,
+        summary: { total: results.length, succeeded, failed: results.length - succeeded },
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to update tasks.' });
+    }
+  }
+);
+
+// @route   POST /api/tasks/import
+// @desc    Import tasks from CSV, our JSON export, a Trello board export or a
+//          Todoist export. Each row is checked with the rules of POST /api/tasks;
+//          valid rows are created and the rest reported. dryRun previews
+//          without saving. Duplicates are skipped unless duplicates=import.
+// @access  Private
+router.post(
+  '/import',
+  authenticate,
+  requireScope('tasks:write'),
+  resolveWorkspace,
+  canEditTasks,
+  [
+    body('format').isIn(IMPORT_FORMATS).withMessage(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`),
+    body('content').isString().notEmpty().withMessage('The file is empty'),
+    body('mapping').optional().isObject().withMessage('Mapping must map fields to column names'),
+    body('mapping.*').optional().isString().withMessage('Mapping must map fields to column names'),
+    body('dryRun').optional().isBoolean().toBoolean(),
+    body('duplicates').optional().isIn(['skip', 'import']).withMessage('Duplicates must be skip or import'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    const { format, content, mapping, dryRun = false, duplicates = 'skip' } = req.body;
+
+    let parsed;
+    try {
+      parsed = readImport(format, content, mapping);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: `Could not read the file: ${error.message}` });
+    }
+    if (parsed.records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ success: false, error: `A file can have at most ${MAX_IMPORT_ROWS} rows.` });
+    }
+
+    try {
+      const records = parsed.records.filter((record) => record.fields);
+
+      // Assignees are given by email
+      const emails = [...new Set(records.flatMap((record) => record.fields.assignees || []))];
+      const users = emails.length > 0 ? await User.find({ email: { $in: emails } }).select('email') : [];
+      const userIdsByEmail = new Map(users.map((user) => [user.email, user._id]));
+
+      const titles = [...new Set(records.map((record) => String(record.fields.title || '').trim()).filter(Boolean))];
+      const existing = await Task.find({ ...req.taskScope, title: { $in: titles } })
+        .collation({ locale: 'en', strength: 2 })
+        .select('title dueDate')
+        .lean();
+      const seen = new Set(existing.map((task) => duplicateKey(task.title, task.dueDate)));
+
+      const rows = [];
+      for (const record of parsed.records) {
+        if (record.skip) {
+          rows.push({ row: record.row, status: 'skipped', reason: record.skip });
+          continue;
+        }
+
+        const rowErrors = [];
+        const rowReq = { body: { ...record.fields } };
+        if (rowReq.body.assignees) {
+          const unknown = rowReq.body.assignees.filter((email) => !userIdsByEmail.has(email));
+          if (unknown.length > 0) {
+            rowErrors.push({ field: 'assignees', message: `No account found for ${unknown.join(', ')}` });
+          }
+          const userIds = rowReq.body.assignees.filter((email) => userIdsByEmail.has(email)).map((email) => userIdsByEmail.get(email));
+          if (!userIds.every((id) => isAssignable(req, id))) {
+            rowErrors.push({ field: 'assignees', message: unassignableError(req) });
+          }
+          rowReq.body.assignees = userIds.map(String);
+        }
+
+        for (const rule of createTaskRules) await rule.run(rowReq);
+        rowErrors.push(...validationResult(rowReq).array().map((e) => ({ field: e.path, message: e.msg })));
+
+        // Read from the checked body, which may still hold any JSON when the row is invalid
+        const preview = {
+          title: rowReq.body.title,
+          status: rowReq.body.status || 'todo',
+          priority: rowReq.body.priority || 'medium',
+          dueDate: rowReq.body.dueDate || null,
+          tags: record.fields.tags || [],
+          assignees: record.fields.assignees || [],
+          checklistItems: Array.isArray(rowReq.body.checklist) ? rowReq.body.checklist.length : 0,
+          recurrence: rowReq.body.recurrence?.rule || null,
+        };
+
+        // Only rows that passed the rules are turned into task fields
+        let fields = null;
+        let task = null;
+        if (rowErrors.length === 0) {
+          fields = pickTaskFields(rowReq.body);
+          if (rowReq.body.recurrence) {
+            if (fields.dueDate) {
+              fields.recurrence = { rule: normalizeRule(rowReq.body.recurrence.rule), startDate: fields.dueDate };
+            } else {
+              rowErrors.push({ field: 'recurrence', message: RECURRENCE_NEEDS_DUE_DATE });
+            }
+          }
+          if (fields.assignees) fields.assignees = [...new Set(fields.assignees)];
+          task = new Task({ ...fields, user: req.user._id, workspace: req.workspace?._id || null });
+          const invalid = task.validateSync();
+          if (invalid) {
+            rowErrors.push(...Object.values(invalid.errors).map((e) => ({ field: e.path, message: e.message })));
+          }
+        }
+
+        if (rowErrors.length > 0) {
+          rows.push({ row: record.row, status: 'invalid', errors: rowErrors, task: preview });
+          continue;
+        }
+
+        const key = duplicateKey(fields.title, fields.dueDate);
+        if (seen.has(key) && duplicates === 'skip') {
+          rows.push({ row: record.row, status: 'duplicate', task: preview });
+          continue;
+        }
+        seen.add(key);
+
+        if (!dryRun) {
+          task.applyChecklistStatus();
+          try {
+            await task.save();
+          } catch (error) {
+            rows.push({ row: record.row, status: 'invalid', errors: [{ field: null, message: 'Failed to save this task.' }], task: preview });
+            continue;
+          }
+        }
+        rows.push({ row: record.row, status: dryRun ? 'ready' : 'imported', task: preview });
+      }
+
+      const summary = rows.reduce(
+        (counts, row) => ({ ...counts, [row.status]: counts[row.status] + 1 }),
+        { total: rows.length, ready: 0, imported: 0, invalid: 0, duplicate: 0, skipped: 0 }
+      );
+
+      res.status(dryRun || summary.imported === 0 ? 200 : 201).json({
+        success: true,
+        dryRun,
+        fields: IMPORT_FIELDS,
+        headers: parsed.headers,
+        mapping: parsed.mapping,
+        rows,
+        summary,
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to import tasks.' });
+    }
+  }
+);
+
 // @route   POST /api/tasks
 // @desc    Create a new task
 // @access  Private
 router.post(
   '/',
   authenticate,
-  [
-    body('title')
-      .trim()
-      .notEmpty().withMessage('Title is required')
-      .isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
-    body('description').optional().trim().isLength({ max: 500 }),
-    body('status').optional().isIn(['todo', 'in-progress', 'done']),
-    body('priority').optional().isIn(['low', 'medium', 'high']),
-    body('dueDate').optional().isISO8601().withMessage('Invalid date format'),
-    body('tags').optional().isArray(),
-  ],
+  requireScope('tasks:write'),
+  resolveWorkspace,
+  canEditTasks,
+  createTaskRules,
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -86,11 +791,28 @@ router.post(
       });
     }
 
+    const fields = pickTaskFields(req.body);
+    if (fields.assignees) {
+      fields.assignees = [...new Set(fields.assignees)];
+      if (rejectUnassignable(req, res, fields.assignees)) return;
+    }
+
+    if (req.body.recurrence) {
+      if (!fields.dueDate) {
+        return res.status(400).json({ success: false, error: RECURRENCE_NEEDS_DUE_DATE });
+      }
+      fields.recurrence = { rule: normalizeRule(req.body.recurrence.rule), startDate: fields.dueDate };
+    }
+
     try {
-      const task = await Task.create({
-        ...req.body,
+      const task = new Task({
+        ...fields,
         user: req.user._id,
+        workspace: req.workspace?._id || null,
       });
+      task.applyChecklistStatus();
+      await task.save();
+      await task.populate(Task.RESPONSE_POPULATE);
       res.status(201).json({ success: true, task });
     } catch (error) {
       res.status(500).json({ success: false, error: 'Failed to create task.' });
@@ -101,9 +823,9 @@ router.post(
 // @route   GET /api/tasks/:id
 // @desc    Get a single task
 // @access  Private
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, requireScope('tasks:read'), resolveWorkspace, async (req, res) => {
   try {
-    const task = await Task.findOne({ _id: req.params.id, user: req.user._id });
+    const task = await Task.findOne({ _id: req.params.id, ...req.taskScope }).populate(Task.RESPONSE_POPULATE);
     if (!task) {
       return res.status(404).json({ success: false, error: 'Task not found.' });
     }
@@ -113,12 +835,70 @@ router.get('/:id', authenticate, async (req, res) => {
   }
 });
 
+// @route   GET /api/tasks/:id/history
+// @desc    Get a task's activity history, newest first
+// @access  Private
+router.get(
+  '/:id/history',
+  authenticate,
+  requireScope('tasks:read'),
+  resolveWorkspace,
+  [
+    param('id').isMongoId().withMessage('Invalid task id'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+
+    try {
+      const task = await Task.exists({ _id: req.params.id, ...req.taskScope });
+      if (!task) {
+        return res.status(404).json({ success: false, error: 'Task not found.' });
+      }
+
+      const [history, total] = await Promise.all([
+        TaskActivity.find({ task: task._id })
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(Number(limit))
+          .populate('actor', 'name email'),
+        TaskActivity.countDocuments({ task: task._id }),
+      ]);
+
+      res.json({
+        success: true,
+        history,
+        pagination: {
+          total,
+          page: Number(page),
+          pages: Math.ceil(total / limit),
+          limit: Number(limit),
+        },
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to fetch task history.' });
+    }
+  }
+);
+
 // @route   PUT /api/tasks/:id
 // @desc    Update a task
 // @access  Private
 router.put(
   '/:id',
   authenticate,
+  requireScope('tasks:write'),
+  resolveWorkspace,
+  canEditTasks,
   [
     body('title').optional().trim().isLength({ min: 1, max: 100 }),
     body('description').optional().trim().isLength({ max: 500 }),
@@ -126,6 +906,9 @@ router.put(
     body('priority').optional().isIn(['low', 'medium', 'high']),
     body('dueDate').optional().isISO8601(),
     body('tags').optional().isArray(),
+    ...assigneeRules,
+    ...checklistRules,
+    recurrenceRule,
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -136,44 +919,319 @@ router.put(
       });
     }
 
+    const fields = pickTaskFields(req.body);
+    if (fields.assignees) {
+      fields.assignees = [...new Set(fields.assignees)];
+      if (rejectUnassignable(req, res, fields.assignees)) return;
+    }
+
     try {
+      const current = await Task.findOne({ _id: req.params.id, ...req.taskScope })
+        .select('status blockedBy dueDate recurrence');
+      if (!current) {
+        return res.status(404).json({ success: false, error: 'Task not found.' });
+      }
+
+      // Work can't start (or finish) while a blocker is still open
+      if (['in-progress', 'done'].includes(fields.status) && current.status !== fields.status) {
+        const openBlockers = await findOpenBlockers(current);
+        if (openBlockers.length > 0) {
+          return res.status(409).json({
+            success: false,
+            error: blockedError(openBlockers.length),
+            blockedBy: openBlockers,
+          });
+        }
+      }
+
+      // A task changing column goes to the top of its new column on the board
+      if (fields.status && fields.status !== current.status) fields.position = null;
+
+      // An unchanged rule keeps the series position; a new rule starts a new series here
+      if (req.body.recurrence === null) {
+        fields.recurrence = null;
+      } else if (req.body.recurrence) {
+        const rule = normalizeRule(req.body.recurrence.rule);
+        const dueDate = fields.dueDate || current.dueDate;
+        if (!dueDate) {
+          return res.status(400).json({ success: false, error: RECURRENCE_NEEDS_DUE_DATE });
+        }
+        if (rule !== current.recurrence?.rule) fields.recurrence = { rule, startDate: dueDate };
+      }
+
       const task = await Task.findOneAndUpdate(
-        { _id: req.params.id, user: req.user._id },
-        req.body,
+        { _id: req.params.id, ...req.taskScope },
+        fields,
         { new: true, runValidators: true }
-      );
+      ).populate(Task.RESPONSE_POPULATE);
       if (!task) {
         return res.status(404).json({ success: false, error: 'Task not found.' });
       }
-      res.json({ success: true, task });
+      if (await applyChecklistStatusUnlessBlocked(task)) await task.save();
+
+      // Finishing a recurring task queues up the next one
+      const nextOccurrence = await task.spawnNextOccurrence();
+      if (nextOccurrence) await nextOccurrence.populate(Task.RESPONSE_POPULATE);
+      res.json({ success: true, task, nextOccurrence });
     } catch (error) {
       res.status(500).json({ success: false, error: 'Failed to update task.' });
     }
   }
 );
 
+// @route   PATCH /api/tasks/:id/move
+// @desc    Move a task on the board: into a status column, right after another
+//          task in it (afterId) or to the top (no afterId)
+// @access  Private (owner/editor)
+router.patch(
+  '/:id/move',
+  authenticate,
+  requireScope('tasks:write'),
+  resolveWorkspace,
+  canEditTasks,
+  [
+    param('id').isMongoId().withMessage('Invalid task id'),
+    body('status').isIn(['todo', 'in-progress', 'done']).withMessage('Status must be todo, in-progress or done'),
+    body('afterId').optional({ values: 'null' }).isMongoId().withMessage('Invalid task id'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    const { status, afterId } = req.body;
+
+    try {
+      const task = await Task.findOne({ _id: req.params.id, ...req.taskScope });
+      if (!task) {
+        return res.status(404).json({ success: false, error: 'Task not found.' });
+      }
+      if (afterId && task._id.equals(afterId)) {
+        return res.status(400).json({ success: false, error: 'A task cannot be placed after itself.' });
+      }
+
+      if (['in-progress', 'done'].includes(status) && task.status !== status) {
+        const openBlockers = await findOpenBlockers(task);
+        if (openBlockers.length > 0) {
+          return res.status(409).json({ success: false, error: blockedError(openBlockers.length), blockedBy: openBlockers });
+        }
+      }
+
+      // Rank between the task it follows and the one after that
+      const column = { ...req.taskScope, status, _id: { $ne: task._id } };
+      await Task.rankUnpositioned(column);
+      let previous = null;
+      if (afterId) {
+        previous = await Task.findOne({ ...column, _id: afterId }).select('position');
+        if (!previous) {
+          return res.status(400).json({ success: false, error: 'afterId must be a task in the target column.' });
+        }
+      }
+      const next = await Task.findOne(previous ? { ...column, position: { $gt: previous.position } } : column)
+        .sort(Task.BOARD_SORT)
+        .select('position');
+
+      task.position = rankBetween(previous ? previous.position : null, next ? next.position : null);
+      task.status = status;
+      await task.save();
+      await task.populate(Task.RESPONSE_POPULATE);
+
+      // Dropping a recurring task on Done queues up the next one
+      const nextOccurrence = await task.spawnNextOccurrence();
+      if (nextOccurrence) await nextOccurrence.populate(Task.RESPONSE_POPULATE);
+      res.json({ success: true, task, nextOccurrence });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to move task.' });
+    }
+  }
+);
+
 // @route   DELETE /api/tasks/:id
-// @desc    Delete a task
+// @desc    Move a task to the trash (restorable until it is purged)
 // @access  Private
-router.delete('/:id', authenticate, async (req, res) => {
+router.delete('/:id', authenticate, requireScope('tasks:write'), resolveWorkspace, canEditTasks, async (req, res) => {
   try {
-    const task = await Task.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    const task = await Task.findOneAndUpdate(
+      { _id: req.params.id, ...req.taskScope },
+      { deletedAt: new Date() },
+      { new: true }
+    );
     if (!task) {
       return res.status(404).json({ success: false, error: 'Task not found.' });
     }
-    res.json({ success: true, message: 'Task deleted successfully.' });
+    res.json({ success: true, message: 'Task moved to trash.', task });
   } catch (error) {
     res.status(500).json({ success: false, error: 'Failed to delete task.' });
   }
 });
 
+// @route   POST /api/tasks/:id/restore
+// @desc    Restore a task from the trash
+// @access  Private (owner/editor)
+router.post('/:id/restore', authenticate, requireScope('tasks:write'), resolveWorkspace, canEditTasks, async (req, res) => {
+  try {
+    const task = await Task.findOneAndUpdate(
+      { _id: req.params.id, ...trashScope(req) },
+      { deletedAt: null },
+      { new: true }
+    ).populate(Task.RESPONSE_POPULATE);
+    if (!task) {
+      return res.status(404).json({ success: false, error: 'Task not found in trash.' });
+    }
+    res.json({ success: true, message: 'Task restored.', task });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to restore task.' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/permanent
+// @desc    Permanently delete a task that is in the trash
+// @access  Private (owner/editor)
+router.delete('/:id/permanent', authenticate, requireScope('tasks:write'), resolveWorkspace, canEditTasks, async (req, res) => {
+  try {
+    const deleted = await Task.purge({ _id: req.params.id, ...trashScope(req) });
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Task not found in trash.' });
+    }
+    res.json({ success: true, message: 'Task permanently deleted.' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to delete task.' });
+  }
+});
+
+// @route   POST /api/tasks/:id/skip
+// @desc    Skip this occurrence of a recurring task: move it to the next due date
+// @access  Private (owner/editor)
+router.post(
+  '/:id/skip',
+  authenticate,
+  requireScope('tasks:write'),
+  resolveWorkspace,
+  canEditTasks,
+  [param('id').isMongoId().withMessage('Invalid task id')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    try {
+      const task = await Task.findOne({ _id: req.params.id, ...req.taskScope });
+      if (!task) {
+        return res.status(404).json({ success: false, error: 'Task not found.' });
+      }
+      if (!task.recurrence || task.status === 'done') {
+        return res.status(400).json({ success: false, error: 'Only open recurring tasks can be skipped.' });
+      }
+
+      const dueDate = task.getNextDueDate();
+      if (!dueDate) {
+        return res.status(400).json({ success: false, error: 'This is the last occurrence in the series.' });
+      }
+
+      task.dueDate = dueDate;
+      task.recurrence.occurrence += 1;
+      await task.save();
+      await task.populate(Task.RESPONSE_POPULATE);
+      res.json({ success: true, task });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to skip occurrence.' });
+    }
+  }
+);
+
+// @route   POST /api/tasks/:id/assignees
+// @desc    Assign a user to a task
+// @access  Private (owner/editor)
+router.post(
+  '/:id/assignees',
+  authenticate,
+  requireScope('tasks:write'),
+  resolveWorkspace,
+  canEditTasks,
+  [
+    param('id').isMongoId().withMessage('Invalid task id'),
+    body('userId').isMongoId().withMessage('Invalid user id'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    if (rejectUnassignable(req, res, [req.body.userId])) return;
+
+    try {
+      const task = await Task.findOneAndUpdate(
+        { _id: req.params.id, ...req.taskScope },
+        { $addToSet: { assignees: req.body.userId } },
+        { new: true }
+      ).populate(Task.RESPONSE_POPULATE);
+      if (!task) {
+        return res.status(404).json({ success: false, error: 'Task not found.' });
+      }
+      res.json({ success: true, task });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to assign task.' });
+    }
+  }
+);
+
+// @route   DELETE /api/tasks/:id/assignees/:userId
+// @desc    Unassign a user from a task
+// @access  Private (owner/editor)
+router.delete(
+  '/:id/assignees/:userId',
+  authenticate,
+  requireScope('tasks:write'),
+  resolveWorkspace,
+  canEditTasks,
+  [
+    param('id').isMongoId().withMessage('Invalid task id'),
+    param('userId').isMongoId().withMessage('Invalid user id'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    try {
+      const task = await Task.findOneAndUpdate(
+        { _id: req.params.id, ...req.taskScope },
+        { $pull: { assignees: req.params.userId } },
+        { new: true }
+      ).populate(Task.RESPONSE_POPULATE);
+      if (!task) {
+        return res.status(404).json({ success: false, error: 'Task not found.' });
+      }
+      res.json({ success: true, task });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to unassign task.' });
+    }
+  }
+);
+
 // @route   GET /api/tasks/stats/summary
 // @desc    Get task stats for dashboard
 // @access  Private
-router.get('/stats/summary', authenticate, async (req, res) => {
+router.get('/stats/summary', authenticate, requireScope('tasks:read'), resolveWorkspace, async (req, res) => {
   try {
     const stats = await Task.aggregate([
-      { $match: { user: req.user._id } },
+      { $match: req.taskScope },
       {
         $group: {
           _id: '$status',
@@ -183,7 +1241,7 @@ router.get('/stats/summary', authenticate, async (req, res) => {
     ]);
 
     const priorityStats = await Task.aggregate([
-      { $match: { user: req.user._id } },
+      { $match: req.taskScope },
       { $group: { _id: '$priority', count: { $sum: 1 } } },
     ]);
 
@@ -196,7 +1254,14 @@ router.get('/stats/summary', authenticate, async (req, res) => {
     const priority = { low: 0, medium: 0, high: 0 };
     priorityStats.forEach(({ _id, count }) => { priority[_id] = count; });
 
-    res.json({ success: true, summary, priority });
+    // "Assigned to me" within the current task list
+    const mine = { ...req.taskScope, assignees: req.user._id };
+    const assigned = {
+      total: await Task.countDocuments(mine),
+      open: await Task.countDocuments({ ...mine, status: { $ne: 'done' } }),
+    };
+
+    res.json({ success: true, summary, priority, assigned });
   } catch (error) {
     res.status(500).json({ success: false, error: 'Failed to fetch stats.' });
   }
@@ -0,0 +1,243 @@
+const express = require('express');
+const router = express.Router();
+const QRCode = require('qrcode');
+const { body, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const User = require('../models/User');
+const { sendTokenResponse, verifyChallengeToken, hashToken } = require('../utils/tokens');
+const { generateSecret, verifyCode, buildOtpauthUrl, generateRecoveryCodes } = require('../utils/totp');
+const { rejectIfLocked, rejectIfDisabled, handleFailedLogin } = require('../utils/lockout');
+const { authLimiter } = require('../middleware/rateLimit');
+
+const SECOND_FACTOR_FIELDS = '+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes';
+const LOCKOUT_FIELDS = '+failedLoginAttempts +lockUntil +lockoutCount';
+
+// Helper: normalise recovery codes before hashing so "4F9A 2C1B 77DE" matches too
+const hashRecoveryCode = (code) => hashToken(code.trim().toLowerCase().replace(/[\s-]/g, ''));
+
+// Helper: generate recovery codes, store their hashes and return the plain codes
+const issueRecoveryCodes = (user) => {
+  const codes = generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Helper: accept a TOTP code or an unused recovery code; consumes whichever matched
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(user.twoFactorSecret, code);
+    if (step === null || (user.twoFactorLastStep && step <= user.twoFactorLastStep)) return false;
+    user.twoFactorLastStep = step;
+    return true;
+  }
+  if (recoveryCode) {
+    const index = user.twoFactorRecoveryCodes.indexOf(hashRecoveryCode(recoveryCode));
+    if (index === -1) return false;
+    user.twoFactorRecoveryCodes.splice(index, 1);
+    return true;
+  }
+  return false;
+};
+
+const secondFactorRules = [
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom((value) => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('An authentication code or recovery code is required');
+    }
+    return true;
+  }),
+];
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete a 2FA login with a code from the authenticator app
+// @access  Public (requires challenge token from /login)
+router.post(
+  '/verify',
+  authLimiter,
+  [body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'), ...secondFactorRules],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    const userId = verifyChallengeToken(req.body.challengeToken);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Login challenge expired. Please log in again.' });
+    }
+
+    try {
+      const user = await User.findById(userId).select(`${SECOND_FACTOR_FIELDS} ${LOCKOUT_FIELDS}`);
+      if (!user || !user.twoFactorEnabled) {
+        return res.status(401).json({ success: false, error: 'Login challenge expired. Please log in again.' });
+      }
+
+      if (rejectIfLocked(user, res)) return;
+      if (rejectIfDisabled(user, res)) return;
+
+      // Wrong codes count towards the same lockout as wrong passwords
+      if (!verifySecondFactor(user, req.body)) {
+        await handleFailedLogin(req, user, 'two-factor');
+        return res.status(401).json({ success: false, error: 'Invalid authentication code.' });
+      }
+
+      await user.save({ validateBeforeSave: false });
+      await user.resetLoginAttempts();
+      await sendTokenResponse(user, 200, req, res);
+    } catch (error) {
+      console.error('2FA verify error:', error);
+      res.status(500).json({ success: false, error: 'Server error during two-factor login.' });
+    }
+  }
+);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment: generate a secret and otpauth URI / QR code
+// @access  Private
+router.post('/setup', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is already enabled.' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    const otpauthUrl = buildOtpauthUrl(secret, user.email);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+    res.json({ success: true, secret, otpauthUrl, qrCode });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ success: false, error: 'Failed to start two-factor setup.' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a first code; returns recovery codes once
+// @access  Private
+router.post(
+  '/enable',
+  authenticate,
+  [body('code').isString().notEmpty().withMessage('Authentication code is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    try {
+      const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+      if (!user.twoFactorPendingSecret) {
+        return res.status(400).json({ success: false, error: 'Start two-factor setup first.' });
+      }
+
+      const step = verifyCode(user.twoFactorPendingSecret, req.body.code);
+      if (step === null) {
+        return res.status(400).json({ success: false, error: 'Invalid authentication code.' });
+      }
+
+      user.twoFactorEnabled = true;
+      user.twoFactorSecret = user.twoFactorPendingSecret;
+      user.twoFactorPendingSecret = undefined;
+      user.twoFactorLastStep = step;
+      const recoveryCodes = issueRecoveryCodes(user);
+      await user.save({ validateBeforeSave: false });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled.',
+        recoveryCodes,
+        user,
+      });
+    } catch (error) {
+      console.error('2FA enable error:', error);
+      res.status(500).json({ success: false, error: 'Failed to enable two-factor authentication.' });
+    }
+  }
+);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes (requires a current code)
+// @access  Private
+router.post('/recovery-codes', authenticate, secondFactorRules, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+    });
+  }
+
+  try {
+    const user = await User.findById(req.user._id).select(SECOND_FACTOR_FIELDS);
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled.' });
+    }
+    if (!verifySecondFactor(user, req.body)) {
+      return res.status(400).json({ success: false, error: 'Invalid authentication code.' });
+    }
+
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save({ validateBeforeSave: false });
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to regenerate recovery codes.' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (requires password and a code)
+// @access  Private
+router.post(
+  '/disable',
+  authenticate,
+  [body('password').notEmpty().withMessage('Password is required'), ...secondFactorRules],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    try {
+      const user = await User.findById(req.user._id).select(`+password ${SECOND_FACTOR_FIELDS}`);
+      if (!user.twoFactorEnabled) {
+        return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled.' });
+      }
+
+      const isMatch = await user.comparePassword(req.body.password);
+      if (!isMatch) {
+        return res.status(400).json({ success: false, error: 'Password is incorrect.' });
+      }
+      if (!verifySecondFactor(user, req.body)) {
+        return res.status(400).json({ success: false, error: 'Invalid authentication code.' });
+      }
+
+      user.twoFactorEnabled = false;
+      user.twoFactorSecret = undefined;
+      user.twoFactorLastStep = undefined;
+      user.twoFactorRecoveryCodes = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      user.password = undefined;
+      res.json({ success: true, message: 'Two-factor authentication disabled.', user });
+    } catch (error) {
+      console.error('2FA disable error:', error);
+      res.status(500).json({ success: false, error: 'Failed to disable two-factor authentication.' });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,8 +1,19 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
-const { authenticate } = require('../middleware/auth');
+const { body, param, validationResult } = require('express-validator');
+const { authenticate, allowUnverified } = require('../middleware/auth');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { recordAudit } = require('../utils/audit');
+const { sendAccountDeletionEmail } = require('../utils/emails');
+const { buildAccountExport } = require('../utils/account');
+
+const MAX_API_KEYS = 20;
+
+// Unverified accounts can still manage their own account
+router.use(allowUnverified);
 
 // @route   GET /api/users/profile
 // @desc    Get user profile
@@ -92,11 +103,318 @@ router.put(
 
       user.password = newPassword;
       await user.save();
-      res.json({ success: true, message: 'Password updated successfully.' });
+
+      // Anyone holding an old session loses access; this device stays signed in
+      await Session.revokeAllForUser(user._id, 'password-changed', req.authSession._id);
+      res.json({ success: true, message: 'Password updated successfully. Other sessions have been signed out.' });
     } catch (error) {
       res.status(500).json({ success: false, error: 'Failed to change password.' });
     }
   }
 );
 
+// @route   GET /api/users/sessions
+// @desc    List active sessions (devices) for the current user
+// @access  Private
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map((s) => ({
+        _id: s._id,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastSeenAt: s.lastSeenAt,
+        current: s._id.equals(req.authSession._id),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to fetch sessions.' });
+  }
+});
+
+// @route   DELETE /api/users/sessions
+// @desc    Sign out every session except the current one
+// @access  Private
+router.delete('/sessions', authenticate, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'revoked-by-user', req.authSession._id);
+    res.json({
+      success: true,
+      revoked: result.modifiedCount,
+      message: 'All other sessions have been signed out.',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to revoke sessions.' });
+  }
+});
+
+// @route   DELETE /api/users/sessions/:id
+// @desc    Revoke a single session
+// @access  Private
+router.delete(
+  '/sessions/:id',
+  authenticate,
+  [param('id').isMongoId().withMessage('Invalid session id')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    try {
+      const session = await Session.findOneAndUpdate(
+        { _id: req.params.id, user: req.user._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'revoked-by-user' },
+        { new: true }
+      );
+      if (!session) {
+        return res.status(404).json({ success: false, error: 'Session not found.' });
+      }
+      res.json({ success: true, message: 'Session revoked.' });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to revoke session.' });
+    }
+  }
+);
+
+// @route   GET /api/users/api-keys
+// @desc    List the current user's API keys (never the keys themselves)
+// @access  Private
+router.get('/api-keys', authenticate, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id, revokedAt: null }).sort({ createdAt: -1 });
+    res.json({ success: true, apiKeys });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to fetch API keys.' });
+  }
+});
+
+// @route   POST /api/users/api-keys
+// @desc    Create an API key; the plain key is only returned in this response
+// @access  Private
+router.post(
+  '/api-keys',
+  authenticate,
+  [
+    body('name')
+      .trim()
+      .notEmpty().withMessage('Name is required')
+      .isLength({ max: 50 }).withMessage('Name cannot exceed 50 characters'),
+    body('scopes')
+      .isArray({ min: 1 }).withMessage('Select at least one scope'),
+    body('scopes.*')
+      .isIn(ApiKey.SCOPES).withMessage('Invalid scope'),
+    body('expiresInDays')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 365 }).withMessage('Expiry must be between 1 and 365 days')
+      .toInt(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    try {
+      const count = await ApiKey.countDocuments({ user: req.user._id, revokedAt: null });
+      if (count >= MAX_API_KEYS) {
+        return res.status(400).json({ success: false, error: `You can have at most ${MAX_API_KEYS} API keys.` });
+      }
+
+      const { name, scopes, expiresInDays } = req.body;
+      const key = `pt_${generateRandomToken(32)}`;
+      const apiKey = await ApiKey.create({
+        user: req.user._id,
+        name,
+        keyHash: hashToken(key),
+        prefix: key.slice(0, 11),
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+      });
+
+      res.status(201).json({ success: true, key, apiKey });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to create API key.' });
+    }
+  }
+);
+
+// @route   DELETE /api/users/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete(
+  '/api-keys/:id',
+  authenticate,
+  [param('id').isMongoId().withMessage('Invalid API key id')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    try {
+      const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: req.params.id, user: req.user._id, revokedAt: null },
+        { revokedAt: new Date() },
+        { new: true }
+      );
+      if (!apiKey) {
+        return res.status(404).json({ success: false, error: 'API key not found.' });
+      }
+      res.json({ success: true, message: 'API key revoked.' });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to revoke API key.' });
+    }
+  }
+);
+
+// @route   GET /api/users/me/export
+// @desc    Download everything stored about the account as one JSON file
+// @access  Private
+router.get('/me/export', authenticate, async (req, res) => {
+  try {
+    const data = await buildAccountExport(req.user._id);
+    res.set('Content-Disposition', `attachment; filename="primetrade-export-${new Date().toISOString().slice(0, 10)}.json"`);
+    res.type('json').send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to export account data.' });
+  }
+});
+
+// @route   DELETE /api/users/me
+// @desc    Schedule the account for deletion after a grace period. Needs the
+//          password, or the account's email for accounts that only use SSO.
+//          Other sessions, API keys and the calendar feed stop working now.
+// @access  Private
+router.delete(
+  '/me',
+  authenticate,
+  [
+    body('password').optional().isString(),
+    body('confirmEmail').optional().isString().trim().toLowerCase(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    try {
+      const user = await User.findById(req.user._id).select('+password');
+      if (user.deletionScheduledFor) {
+        return res.status(409).json({ success: false, error: 'Account deletion is already scheduled.' });
+      }
+      if (user.password) {
+        if (!req.body.password || !(await user.comparePassword(req.body.password))) {
+          return res.status(400).json({ success: false, error: 'Password is incorrect.' });
+        }
+      } else if (req.body.confirmEmail !== user.email) {
+        return res.status(400).json({ success: false, error: 'Type your email address to confirm.' });
+      }
+
+      user.deletionScheduledFor = new Date(Date.now() + User.DELETION_GRACE_MS);
+      user.calendarFeedTokenHash = undefined;
+      user.calendarFeedCreatedAt = null;
+      await user.save();
+
+      await Session.revokeAllForUser(user._id, 'account-deletion', req.authSession._id);
+      await ApiKey.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+      await recordAudit(req, {
+        user: user._id,
+        action: 'account.deletion-scheduled',
+        metadata: { scheduledFor: user.deletionScheduledFor },
+      });
+      sendAccountDeletionEmail(user, user.deletionScheduledFor).catch((mailError) => {
+        console.error('Account deletion email error:', mailError);
+      });
+
+      res.json({
+        success: true,
+        deletionScheduledFor: user.deletionScheduledFor,
+        message: 'Your account will be deleted at the end of the grace period. Sign in before then to cancel.',
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to schedule account deletion.' });
+    }
+  }
+);
+
+// @route   POST /api/users/me/cancel-deletion
+// @desc    Keep the account: cancel a scheduled deletion
+// @access  Private
+router.post('/me/cancel-deletion', authenticate, async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.user._id, deletionScheduledFor: { $ne: null } },
+      { deletionScheduledFor: null },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({ success: false, error: 'No account deletion is scheduled.' });
+    }
+    await recordAudit(req, { user: user._id, action: 'account.deletion-cancelled' });
+    res.json({ success: true, user, message: 'Account deletion cancelled.' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to cancel account deletion.' });
+  }
+});
+
+// Helper: public URL of a calendar feed
+const calendarFeedUrl = (req, token) =>
+  `${process.env.API_URL || `${req.protocol}://${req.get('host')}/api`}/calendar/${token}.ics`;
+
+// @route   POST /api/users/calendar-feed
+// @desc    Create or regenerate the ICS feed URL; the old URL stops working.
+//          The URL is only returned in this response.
+// @access  Private
+router.post('/calendar-feed', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const token = user.createCalendarFeedToken();
+    await user.save();
+    res.json({
+      success: true,
+      url: calendarFeedUrl(req, token),
+      calendarFeedCreatedAt: user.calendarFeedCreatedAt,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to create calendar feed.' });
+  }
+});
+
+// @route   DELETE /api/users/calendar-feed
+// @desc    Turn the ICS feed off
+// @access  Private
+router.delete('/calendar-feed', authenticate, async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user._id },
+      { $unset: { calendarFeedTokenHash: 1 }, calendarFeedCreatedAt: null }
+    );
+    res.json({ success: true, message: 'Calendar feed turned off.' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to turn off calendar feed.' });
+  }
+});
+
 module.exports = router;
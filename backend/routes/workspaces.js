@@ -0,0 +1,387 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const Workspace = require('../models/Workspace');
+const Invitation = require('../models/Invitation');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { normalizeEmailAddress } = require('../utils/emailAddress');
+const { sendWorkspaceInvitationEmail } = require('../utils/emails');
+
+const INVITATION_TTL_MS = Number(process.env.WORKSPACE_INVITATION_EXPIRES_DAYS || 7) * 24 * 60 * 60 * 1000;
+
+router.use(authenticate);
+
+// Helper: load the :id workspace for a member with one of `roles` (any role if
+// none given). Non-members get a 404 so workspace ids can't be probed.
+const loadWorkspace = (...roles) => async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+    });
+  }
+
+  try {
+    const workspace = await Workspace.findById(req.params.id);
+    const role = workspace && workspace.getRole(req.user._id);
+    if (!role) {
+      return res.status(404).json({ success: false, error: 'Workspace not found.' });
+    }
+    if (roles.length && !roles.includes(role)) {
+      return res.status(403).json({ success: false, error: 'Only the workspace owner can do this.' });
+    }
+
+    req.workspace = workspace;
+    req.workspaceRole = role;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to load workspace.' });
+  }
+};
+
+const workspaceIdRule = param('id').isMongoId().withMessage('Invalid workspace id');
+
+// Helper: find a pending invitation by its emailed token
+const findPendingInvitation = (token) =>
+  Invitation.findOne({
+    tokenHash: hashToken(token),
+    acceptedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).populate('workspace', 'name').populate('invitedBy', 'name');
+
+// @route   GET /api/workspaces
+// @desc    List workspaces the current user belongs to
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const workspaces = await Workspace.find({ 'members.user': req.user._id }).sort({ name: 1 });
+    res.json({
+      success: true,
+      workspaces: workspaces.map((w) => ({
+        _id: w._id,
+        name: w.name,
+        role: w.getRole(req.user._id),
+        memberCount: w.members.length,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to fetch workspaces.' });
+  }
+});
+
+// @route   POST /api/workspaces
+// @desc    Create a workspace (the creator becomes its owner)
+// @access  Private
+router.post(
+  '/',
+  [
+    body('name')
+      .trim()
+      .notEmpty().withMessage('Name is required')
+      .isLength({ min: 2, max: 50 }).withMessage('Name must be 2-50 characters'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    try {
+      const workspace = await Workspace.create({
+        name: req.body.name,
+        owner: req.user._id,
+        members: [{ user: req.user._id, role: 'owner' }],
+      });
+      res.status(201).json({
+        success: true,
+        workspace: { _id: workspace._id, name: workspace.name, role: 'owner', memberCount: 1 },
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to create workspace.' });
+    }
+  }
+);
+
+// @route   GET /api/workspaces/invitations/:token
+// @desc    Preview an invitation before accepting it
+// @access  Private
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+    if (!invitation || !invitation.workspace) {
+      return res.status(404).json({ success: false, error: 'Invitation is invalid or has expired.' });
+    }
+    res.json({
+      success: true,
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        workspace: invitation.workspace,
+        invitedBy: invitation.invitedBy?.name || '',
+        expiresAt: invitation.expiresAt,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to fetch invitation.' });
+  }
+});
+
+// @route   POST /api/workspaces/invitations/:token/accept
+// @desc    Join a workspace; must be signed in as the invited email
+// @access  Private
+router.post('/invitations/:token/accept', async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+    if (!invitation || !invitation.workspace) {
+      return res.status(404).json({ success: false, error: 'Invitation is invalid or has expired.' });
+    }
+    if (normalizeEmailAddress(invitation.email) !== normalizeEmailAddress(req.user.email)) {
+      return res.status(403).json({
+        success: false,
+        error: `This invitation was sent to ${invitation.email}. Sign in with that account to accept it.`,
+      });
+    }
+
+    const workspace = await Workspace.findById(invitation.workspace._id);
+    if (!workspace.getRole(req.user._id)) {
+      workspace.members.push({ user: req.user._id, role: invitation.role });
+      await workspace.save();
+    }
+
+    invitation.acceptedAt = new Date();
+    await invitation.save();
+
+    res.json({
+      success: true,
+      message: `You joined ${workspace.name}.`,
+      workspace: {
+        _id: workspace._id,
+        name: workspace.name,
+        role: workspace.getRole(req.user._id),
+        memberCount: workspace.members.length,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to accept invitation.' });
+  }
+});
+
+// @route   GET /api/workspaces/:id
+// @desc    Workspace details with members (and pending invitations for owners)
+// @access  Private (member)
+router.get('/:id', [workspaceIdRule], loadWorkspace(), async (req, res) => {
+  try {
+    const workspace = await req.workspace.populate('members.user', 'name email');
+    const invitations = req.workspaceRole === 'owner'
+      ? await Invitation.find({ workspace: workspace._id, acceptedAt: null, expiresAt: { $gt: new Date() } })
+        .sort({ createdAt: -1 })
+      : [];
+
+    res.json({
+      success: true,
+      workspace: {
+        _id: workspace._id,
+        name: workspace.name,
+        owner: workspace.owner,
+        role: req.workspaceRole,
+        members: workspace.members.filter((m) => m.user),
+        createdAt: workspace.createdAt,
+      },
+      invitations,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to fetch workspace.' });
+  }
+});
+
+// @route   PUT /api/workspaces/:id
+// @desc    Rename a workspace
+// @access  Private (owner)
+router.put(
+  '/:id',
+  [
+    workspaceIdRule,
+    body('name')
+      .trim()
+      .notEmpty().withMessage('Name is required')
+      .isLength({ min: 2, max: 50 }).withMessage('Name must be 2-50 characters'),
+  ],
+  loadWorkspace('owner'),
+  async (req, res) => {
+    try {
+      req.workspace.name = req.body.name;
+      await req.workspace.save();
+      res.json({ success: true, workspace: { _id: req.workspace._id, name: req.workspace.name } });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to update workspace.' });
+    }
+  }
+);
+
+// @route   DELETE /api/workspaces/:id
+// @desc    Delete a workspace together with its tasks, their comments and invitations
+// @access  Private (owner)
+router.delete('/:id', [workspaceIdRule], loadWorkspace('owner'), async (req, res) => {
+  try {
+    await Task.purge({ workspace: req.workspace._id });
+    await Invitation.deleteMany({ workspace: req.workspace._id });
+    await req.workspace.deleteOne();
+    res.json({ success: true, message: 'Workspace deleted.' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to delete workspace.' });
+  }
+});
+
+// @route   POST /api/workspaces/:id/invitations
+// @desc    Invite someone by email
+// @access  Private (owner)
+router.post(
+  '/:id/invitations',
+  [
+    workspaceIdRule,
+    body('email')
+      .trim()
+      .notEmpty().withMessage('Email is required')
+      .isEmail().withMessage('Please provide a valid email')
+      .normalizeEmail(),
+    body('role').optional().isIn(['editor', 'viewer']).withMessage('Role must be editor or viewer'),
+  ],
+  loadWorkspace('owner'),
+  async (req, res) => {
+    const { email, role = 'editor' } = req.body;
+
+    try {
+      const existingUser = await User.findOne({ email }).select('_id');
+      if (existingUser && req.workspace.getRole(existingUser._id)) {
+        return res.status(409).json({ success: false, error: 'That person is already a member.' });
+      }
+
+      // Re-inviting replaces any earlier pending invitation for the same address
+      await Invitation.deleteMany({ workspace: req.workspace._id, email, acceptedAt: null });
+
+      const token = generateRandomToken(32);
+      const invitation = await Invitation.create({
+        workspace: req.workspace._id,
+        email,
+        role,
+        tokenHash: hashToken(token),
+        invitedBy: req.user._id,
+        expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+      });
+
+      try {
+        await sendWorkspaceInvitationEmail(invitation, req.workspace, req.user, token);
+      } catch (mailError) {
+        console.error('Invitation email error:', mailError);
+        await invitation.deleteOne();
+        return res.status(500).json({ success: false, error: 'Could not send invitation email. Please try again later.' });
+      }
+
+      res.status(201).json({ success: true, message: `Invitation sent to ${email}.`, invitation });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to send invitation.' });
+    }
+  }
+);
+
+// @route   DELETE /api/workspaces/:id/invitations/:invitationId
+// @desc    Cancel a pending invitation
+// @access  Private (owner)
+router.delete(
+  '/:id/invitations/:invitationId',
+  [workspaceIdRule, param('invitationId').isMongoId().withMessage('Invalid invitation id')],
+  loadWorkspace('owner'),
+  async (req, res) => {
+    try {
+      const invitation = await Invitation.findOneAndDelete({
+        _id: req.params.invitationId,
+        workspace: req.workspace._id,
+        acceptedAt: null,
+      });
+      if (!invitation) {
+        return res.status(404).json({ success: false, error: 'Invitation not found.' });
+      }
+      res.json({ success: true, message: 'Invitation cancelled.' });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to cancel invitation.' });
+    }
+  }
+);
+
+// @route   PATCH /api/workspaces/:id/members/:userId
+// @desc    Change a member's role
+// @access  Private (owner)
+router.patch(
+  '/:id/members/:userId',
+  [
+    workspaceIdRule,
+    param('userId').isMongoId().withMessage('Invalid user id'),
+    body('role').isIn(['editor', 'viewer']).withMessage('Role must be editor or viewer'),
+  ],
+  loadWorkspace('owner'),
+  async (req, res) => {
+    try {
+      const member = req.workspace.members.find((m) => m.user.equals(req.params.userId));
+      if (!member) {
+        return res.status(404).json({ success: false, error: 'Member not found.' });
+      }
+      if (member.role === 'owner') {
+        return res.status(400).json({ success: false, error: "The owner's role cannot be changed." });
+      }
+
+      member.role = req.body.role;
+      await req.workspace.save();
+      res.json({ success: true, message: 'Member role updated.' });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to update member.' });
+    }
+  }
+);
+
+// @route   DELETE /api/workspaces/:id/members/:userId
+// @desc    Remove a member (owner), or leave the workspace (yourself)
+// @access  Private (member)
+router.delete(
+  '/:id/members/:userId',
+  [workspaceIdRule, param('userId').isMongoId().withMessage('Invalid user id')],
+  loadWorkspace(),
+  async (req, res) => {
+    const leaving = req.user._id.equals(req.params.userId);
+    if (!leaving && req.workspaceRole !== 'owner') {
+      return res.status(403).json({ success: false, error: 'Only the workspace owner can do this.' });
+    }
+
+    try {
+      const member = req.workspace.members.find((m) => m.user.equals(req.params.userId));
+      if (!member) {
+        return res.status(404).json({ success: false, error: 'Member not found.' });
+      }
+      if (member.role === 'owner') {
+        return res.status(400).json({
+          success: false,
+          error: 'The owner cannot leave the workspace. Delete it instead.',
+        });
+      }
+
+      req.workspace.members = req.workspace.members.filter((m) => !m.user.equals(req.params.userId));
+      await req.workspace.save();
+      // Former members can't see the tasks any more, so they shouldn't stay assigned
+      await Task.updateMany(
+        { workspace: req.workspace._id, assignees: req.params.userId },
+        { $pull: { assignees: req.params.userId } }
+      );
+      res.json({ success: true, message: leaving ? 'You left the workspace.' : 'Member removed.' });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to remove member.' });
+    }
+  }
+);
+
+module.exports = router;
@@ -3,11 +3,21 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
 const connectDB = require('./config/db');
 
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const oauthRoutes = require('./routes/oauth');
 const userRoutes = require('./routes/users');
 const taskRoutes = require('./routes/tasks');
+const workspaceRoutes = require('./routes/workspaces');
+const adminRoutes = require('./routes/admin');
+const calendarRoutes = require('./routes/calendar');
+const { csrfProtection } = require('./middleware/csrf');
+const { requestContext } = require('./utils/requestContext');
+const { startTrashPurge } = require('./jobs/purgeTrash');
+const { startAccountDeletion } = require('./jobs/deleteAccounts');
 
 const app = express();
 
@@ -29,13 +39,24 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Body Parser
+// Body & Cookie Parsers (imports carry a whole file, so they get a larger limit)
+app.use('/api/tasks/import', express.json({ limit: '2mb' }));
 app.use(express.json({ limit: '10kb' }));
+app.use(cookieParser());
+
+// Makes the current request available to model hooks (task activity log)
+app.use(requestContext);
 
 // Routes
+app.use('/api/auth/2fa', csrfProtection, twoFactorRoutes);
+app.use('/api/auth/oauth', oauthRoutes);
 app.use('/api/auth', authRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api/tasks', taskRoutes);
+app.use('/api/users', csrfProtection, userRoutes);
+app.use('/api/tasks', csrfProtection, taskRoutes);
+app.use('/api/workspaces', csrfProtection, workspaceRoutes);
+app.use('/api/admin', csrfProtection, adminRoutes);
+// Secret-URL ICS feeds polled by calendar apps (no session, so no CSRF)
+app.use('/api/calendar', calendarRoutes);
 
 // Health Check
 app.get('/api/health', (req, res) => {
@@ -58,4 +79,6 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
+  startTrashPurge();
+  startAccountDeletion();
 });
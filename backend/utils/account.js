@@ -0,0 +1,105 @@
+// Everything we hold about one account: the data export users can download,
+// and the cascade that runs when a scheduled account deletion comes due.
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const TaskActivity = require('../models/TaskActivity');
+const Workspace = require('../models/Workspace');
+const Invitation = require('../models/Invitation');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
+
+// The account's data as one JSON-ready object. Secrets (password and token
+// hashes, 2FA secrets) are left out.
+const buildAccountExport = async (userId) => {
+  const [user, tasks, comments, activity, workspaces, sessions, apiKeys, auditLog] = await Promise.all([
+    User.findById(userId),
+    Task.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    Comment.find({ author: userId }).sort({ createdAt: 1 }).lean(),
+    TaskActivity.find({ actor: userId }).sort({ createdAt: 1 }).lean(),
+    Workspace.find({ 'members.user': userId }).lean(),
+    Session.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    ApiKey.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    AuditLog.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: user.toJSON(),
+    // Tasks they created, personal or in a workspace, including the trash
+    tasks,
+    comments,
+    taskActivity: activity,
+    workspaces: workspaces.map((workspace) => {
+      const member = workspace.members.find((m) => m.user.equals(userId));
+      return {
+        _id: workspace._id,
+        name: workspace.name,
+        owner: workspace.owner.equals(userId),
+        role: member.role,
+        joinedAt: member.joinedAt,
+      };
+    }),
+    sessions: sessions.map(({ refreshTokenHash, ...session }) => session),
+    apiKeys: apiKeys.map(({ keyHash, ...apiKey }) => apiKey),
+    securityLog: auditLog,
+  };
+};
+
+// Purge tasks together with their whole history, including the "deleted"
+// entries the activity log writes for the purge itself
+const purgeTasksAndHistory = async (filter) => {
+  const ids = await Task.find(filter).distinct('_id');
+  if (ids.length === 0) return;
+  await Task.purge({ _id: { $in: ids } });
+  await TaskActivity.deleteMany({ task: { $in: ids } });
+};
+
+// Remove an account for good. Personal tasks (with their history), comments,
+// sessions, keys and security log go; tasks they created in shared workspaces
+// stay with the team (credited to the workspace owner), and their entries in
+// task histories are kept without their name. Owned workspaces pass to the
+// longest-standing other member, or are deleted when nobody is left.
+const deleteAccount = async (userId) => {
+  const owned = await Workspace.find({ owner: userId });
+  for (const workspace of owned) {
+    const others = workspace.members
+      .filter((m) => !m.user.equals(userId))
+      .sort((a, b) => a.joinedAt - b.joinedAt);
+    if (others.length === 0) {
+      await purgeTasksAndHistory({ workspace: workspace._id });
+      await Invitation.deleteMany({ workspace: workspace._id });
+      await workspace.deleteOne();
+    } else {
+      const heir = others.find((m) => m.role === 'owner') || others.find((m) => m.role === 'editor') || others[0];
+      heir.role = 'owner';
+      workspace.owner = heir.user;
+      workspace.members = others;
+      await workspace.save();
+    }
+  }
+  await Workspace.updateMany({ 'members.user': userId }, { $pull: { members: { user: userId } } });
+
+  await purgeTasksAndHistory({ user: userId, workspace: null });
+  const sharedWorkspaceIds = await Task.find({ user: userId }).distinct('workspace');
+  const sharedWorkspaces = await Workspace.find({ _id: { $in: sharedWorkspaceIds } }).select('owner');
+  for (const workspace of sharedWorkspaces) {
+    await Task.updateMany({ user: userId, workspace: workspace._id }, { user: workspace.owner });
+  }
+  await Task.updateMany({ assignees: userId }, { $pull: { assignees: userId } });
+  await Comment.deleteMany({ author: userId });
+  await Comment.updateMany({ mentions: userId }, { $pull: { mentions: userId } });
+  // Through the driver: the model refuses updates to keep the history append-only
+  await TaskActivity.collection.updateMany({ actor: userId }, { $set: { actor: null } });
+  await Invitation.deleteMany({ invitedBy: userId });
+  // Their own security events go; admin actions they took on others stay,
+  // without who took them or from where
+  await AuditLog.deleteMany({ user: userId });
+  await AuditLog.updateMany({ actor: userId }, { actor: null, ip: '', userAgent: '' });
+  await Session.deleteMany({ user: userId });
+  await ApiKey.deleteMany({ user: userId });
+  await User.deleteOne({ _id: userId });
+};
+
+module.exports = { buildAccountExport, deleteAccount };
@@ -0,0 +1,20 @@
+const AuditLog = require('../models/AuditLog');
+
+// Record an audit event. Failures are logged, never thrown: auditing must not
+// break the request that triggered it.
+const recordAudit = async (req, { user = null, action, metadata = {} }) => {
+  try {
+    await AuditLog.create({
+      user,
+      actor: req.user?._id || null,
+      action,
+      ip: req.ip || '',
+      userAgent: (req.get('User-Agent') || '').slice(0, 500),
+      metadata,
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = { recordAudit };
@@ -0,0 +1,68 @@
+// CSV (RFC 4180) formatting helpers for exports
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// One cell: quoted when it holds a separator, quote or line break; text that
+// would be read as a formula gets a leading apostrophe
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (with its line ending) from a list of cell values
+const toCsvRow = (values) => `${values.map(toCsvValue).join(',')}\r\n`;
+
+// Undo toCsvValue's formula guard when reading a cell back
+const fromCsvValue = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+// Parse CSV text into rows of cells. Handles quoted cells with separators,
+// doubled quotes and line breaks, CRLF or LF endings and a UTF-8 BOM; blank
+// lines are dropped. Throws on an unterminated quote.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endCell = () => {
+    row.push(fromCsvValue(cell));
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new Error('A quoted cell is never closed');
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+module.exports = { toCsvValue, toCsvRow, parseCsv };
@@ -0,0 +1,45 @@
+const Task = require('../models/Task');
+
+// Would making `taskId` blocked by `blockerId` close a loop? That's the case
+// when taskId is already reachable from blockerId by following blockedBy links
+// (or they're the same task). Walks the graph breadth-first, one query per level.
+const wouldCreateCycle = async (taskId, blockerId) => {
+  const target = String(taskId);
+  if (String(blockerId) === target) return true;
+
+  const seen = new Set([String(blockerId)]);
+  let frontier = [blockerId];
+  while (frontier.length > 0) {
+    const tasks = await Task.find({ _id: { $in: frontier } }).select('blockedBy').lean();
+    frontier = [];
+    for (const task of tasks) {
+      for (const id of task.blockedBy || []) {
+        const key = String(id);
+        if (key === target) return true;
+        if (!seen.has(key)) {
+          seen.add(key);
+          frontier.push(id);
+        }
+      }
+    }
+  }
+  return false;
+};
+
+// The task's blockers that aren't done yet (ignoring any in the trash)
+const findOpenBlockers = (task) =>
+  Task.find({ _id: { $in: task.blockedBy }, status: { $ne: 'done' }, deletedAt: null }).select('title status');
+
+// Auto-advance a task whose checklist is complete (see applyChecklistStatus),
+// unless a blocker is still open: the same rule as finishing it by hand.
+// Returns true if the status changed (the caller saves).
+const applyChecklistStatusUnlessBlocked = async (task) => {
+  if (!task.shouldCompleteFromChecklist()) return false;
+  if (task.blockedBy.length > 0) {
+    const openBlockers = await findOpenBlockers({ blockedBy: task.blockedBy.map((blocker) => blocker._id || blocker) });
+    if (openBlockers.length > 0) return false;
+  }
+  return task.applyChecklistStatus();
+};
+
+module.exports = { wouldCreateCycle, findOpenBlockers, applyChecklistStatusUnlessBlocked };
@@ -0,0 +1,11 @@
+const { normalizeEmail } = require('validator');
+
+// The canonical form of an email address: what express-validator's
+// normalizeEmail() stores for local accounts (lowercased; Gmail dots and
+// +tags removed). Compare and look up addresses from other sources in this form.
+const normalizeEmailAddress = (email) => {
+  const trimmed = String(email || '').trim();
+  return (trimmed.includes('@') && normalizeEmail(trimmed)) || trimmed.toLowerCase();
+};
+
+module.exports = { normalizeEmailAddress };
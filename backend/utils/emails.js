@@ -0,0 +1,101 @@
+const { sendMail } = require('./mailer');
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+const appUrl = (pathname) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}${pathname}`;
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = appUrl(`/reset-password/${token}`);
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your PrimeTrade password',
+    text:
+      `Hi ${user.name},\n\n` +
+      `We received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\n` +
+      `The link expires in ${process.env.PASSWORD_RESET_EXPIRES_MINUTES || 30} minutes and can only be used once. ` +
+      'If you did not ask for this, you can ignore this email.',
+    html:
+      `<p>Hi ${escapeHtml(user.name)},</p>` +
+      '<p>We received a request to reset your password.</p>' +
+      `<p><a href="${link}">Choose a new password</a></p>` +
+      '<p>If you did not ask for this, you can ignore this email.</p>',
+  });
+};
+
+const sendVerificationEmail = (user, token) => {
+  const link = appUrl(`/verify-email/${token}`);
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your PrimeTrade email address',
+    text:
+      `Hi ${user.name},\n\n` +
+      `Please confirm your email address by opening the link below:\n\n${link}\n\n` +
+      `The link expires in ${process.env.EMAIL_VERIFICATION_EXPIRES_HOURS || 24} hours.`,
+    html:
+      `<p>Hi ${escapeHtml(user.name)},</p>` +
+      '<p>Please confirm your email address.</p>' +
+      `<p><a href="${link}">Verify email</a></p>`,
+  });
+};
+
+const sendAccountLockedEmail = (user, lockUntil, ip) => {
+  const link = appUrl('/forgot-password');
+  const until = lockUntil.toUTCString();
+  return sendMail({
+    to: user.email,
+    subject: 'Your PrimeTrade account was temporarily locked',
+    text:
+      `Hi ${user.name},\n\n` +
+      `Your account was locked until ${until} after too many failed sign-in attempts (last from ${ip || 'an unknown IP'}).\n\n` +
+      `If this wasn't you, we recommend resetting your password: ${link}`,
+    html:
+      `<p>Hi ${escapeHtml(user.name)},</p>` +
+      `<p>Your account was locked until <strong>${until}</strong> after too many failed sign-in attempts ` +
+      `(last from ${escapeHtml(ip || 'an unknown IP')}).</p>` +
+      `<p>If this wasn't you, we recommend <a href="${link}">resetting your password</a>.</p>`,
+  });
+};
+
+const sendWorkspaceInvitationEmail = (invitation, workspace, inviter, token) => {
+  const link = appUrl(`/invitations/${token}`);
+  return sendMail({
+    to: invitation.email,
+    subject: `${inviter.name} invited you to "${workspace.name}" on PrimeTrade`,
+    text:
+      'Hi,\n\n' +
+      `${inviter.name} invited you to join the "${workspace.name}" workspace as ${invitation.role}.\n\n` +
+      `Accept the invitation here (sign in or create an account with this email first):\n\n${link}\n\n` +
+      `The invitation expires on ${invitation.expiresAt.toUTCString()}.`,
+    html:
+      `<p>${escapeHtml(inviter.name)} invited you to join the <strong>${escapeHtml(workspace.name)}</strong> ` +
+      `workspace as ${escapeHtml(invitation.role)}.</p>` +
+      `<p><a href="${link}">Accept invitation</a></p>` +
+      '<p>Sign in or create an account with this email address first.</p>',
+  });
+};
+
+const sendAccountDeletionEmail = (user, scheduledFor) => {
+  const link = appUrl('/profile');
+  const when = scheduledFor.toUTCString();
+  return sendMail({
+    to: user.email,
+    subject: 'Your PrimeTrade account is scheduled for deletion',
+    text:
+      `Hi ${user.name},\n\n` +
+      `Your account and its data will be deleted on ${when}.\n\n` +
+      `Changed your mind? Sign in before then and cancel the deletion from your profile: ${link}`,
+    html:
+      `<p>Hi ${escapeHtml(user.name)},</p>` +
+      `<p>Your account and its data will be deleted on <strong>${when}</strong>.</p>` +
+      `<p>Changed your mind? Sign in before then and <a href="${link}">cancel the deletion from your profile</a>.</p>`,
+  });
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail,
+  sendWorkspaceInvitationEmail,
+  sendAccountDeletionEmail,
+};
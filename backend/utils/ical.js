@@ -0,0 +1,89 @@
+// Minimal iCalendar (RFC 5545) writer for the due-date feed.
+//
+// Due dates are calendar days stored as UTC midnight, so every entry is an
+// all-day item: a VEVENT spanning the day, or a VTODO due that day.
+
+const PRODID = '-//PrimeTrade//Task due dates//EN';
+
+const TODO_STATUS = { todo: 'NEEDS-ACTION', 'in-progress': 'IN-PROCESS', done: 'COMPLETED' };
+// 1 is highest, 9 lowest
+const PRIORITY = { high: 1, medium: 5, low: 9 };
+
+// Escape a TEXT value (backslash, separators, newlines)
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// 20260105
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+// 20260105T093000Z
+const formatDateTime = (date) => `${date.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+
+// Lines longer than 75 octets continue on the next line after a space.
+// Never split a multi-byte character.
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const taskLines = (task, { type, uidDomain }) => {
+  const due = new Date(task.dueDate);
+  const lines = [
+    type === 'todo' ? 'BEGIN:VTODO' : 'BEGIN:VEVENT',
+    `UID:${task._id}@${uidDomain}`,
+    `DTSTAMP:${formatDateTime(new Date(task.updatedAt || Date.now()))}`,
+    `SUMMARY:${escapeText(task.title)}`,
+  ];
+
+  if (type === 'todo') {
+    lines.push(`DUE;VALUE=DATE:${formatDate(due)}`);
+    lines.push(`STATUS:${TODO_STATUS[task.status]}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(due)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(new Date(due.getTime() + 24 * 60 * 60 * 1000))}`);
+    lines.push('TRANSP:TRANSPARENT');
+  }
+
+  lines.push(`PRIORITY:${PRIORITY[task.priority]}`);
+  if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  if (task.tags && task.tags.length > 0) lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+  if (task.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(new Date(task.updatedAt))}`);
+
+  lines.push(type === 'todo' ? 'END:VTODO' : 'END:VEVENT');
+  return lines;
+};
+
+// Build a VCALENDAR document for tasks that have a due date.
+// `type` is 'event' (shows in any calendar app) or 'todo' (task-aware apps).
+const buildCalendar = (tasks, { name, type = 'event', uidDomain }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  tasks.forEach((task) => lines.push(...taskLines(task, { type, uidDomain })));
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = { buildCalendar };
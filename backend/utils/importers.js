@@ -0,0 +1,193 @@
+// Turn uploaded files into task fields for POST /api/tasks/import.
+//
+// Every reader returns { headers, records } where each record is
+// { row, fields } (row is 1-based, for error messages) or { row, skip } for
+// entries that aren't tasks. `fields` use the names POST /api/tasks takes, with
+// assignees as email addresses; values are left for the route to validate.
+const { parseCsv } = require('./csv');
+
+// Fields a CSV column can be mapped to
+const IMPORT_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'tags', 'assignees', 'recurrence'];
+
+// Column names recognised without a mapping (compared without case, spaces or dashes)
+const FIELD_ALIASES = {
+  title: ['title', 'name', 'task', 'summary', 'content'],
+  description: ['description', 'desc', 'notes', 'details'],
+  status: ['status', 'state'],
+  priority: ['priority'],
+  dueDate: ['duedate', 'due', 'deadline', 'date'],
+  tags: ['tags', 'labels', 'tag', 'label'],
+  assignees: ['assignees', 'assignee', 'assignedto', 'owner'],
+  recurrence: ['recurrence', 'repeat', 'rrule'],
+};
+
+const STATUS_ALIASES = {
+  todo: 'todo',
+  'to-do': 'todo',
+  open: 'todo',
+  'not-started': 'todo',
+  'in-progress': 'in-progress',
+  doing: 'in-progress',
+  started: 'in-progress',
+  done: 'done',
+  complete: 'done',
+  completed: 'done',
+  closed: 'done',
+};
+
+// Todoist: 1 is the most urgent, 4 means no priority
+const TODOIST_PRIORITIES = { 1: 'high', 2: 'medium', 3: 'low', 4: 'low' };
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[\s_-]/g, '');
+
+// "urgent, backend" -> ['urgent', 'backend']
+const splitList = (value) => [...new Set(String(value).split(',').map((v) => v.trim()).filter(Boolean))];
+
+// Known spellings of a status become ours; anything else is left for validation to reject
+const normalizeStatus = (value) => {
+  const key = String(value).trim().toLowerCase().replace(/[\s_]+/g, '-');
+  return STATUS_ALIASES[key] || value;
+};
+
+// Drop empty values and tidy the rest; lists may arrive as arrays or comma-separated text
+const cleanFields = (raw) => {
+  const fields = {};
+  Object.entries(raw).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    if (key === 'tags' || key === 'assignees') {
+      const list = Array.isArray(value) ? value.map((v) => String(v).trim()).filter(Boolean) : splitList(value);
+      if (list.length > 0) fields[key] = key === 'assignees' ? list.map((email) => email.toLowerCase()) : list;
+    } else if (key === 'status') {
+      fields.status = normalizeStatus(value);
+    } else if (key === 'priority') {
+      fields.priority = String(value).trim().toLowerCase();
+    } else if (key === 'recurrence') {
+      fields.recurrence = typeof value === 'string' ? { rule: value.trim() } : value;
+    } else {
+      fields[key] = value;
+    }
+  });
+  return fields;
+};
+
+// Which header each field reads from: the given mapping, otherwise a header
+// matching the field's aliases. Returns { field: header }.
+const resolveMapping = (headers, mapping = {}) => {
+  const resolved = {};
+  IMPORT_FIELDS.forEach((field) => {
+    if (mapping[field] !== undefined) {
+      if (mapping[field] && headers.includes(mapping[field])) resolved[field] = mapping[field];
+      return;
+    }
+    const header = headers.find((h) => FIELD_ALIASES[field].includes(normalizeHeader(h)));
+    if (header) resolved[field] = header;
+  });
+  return resolved;
+};
+
+// CSV with a header row, e.g. our own export; columns are picked by `mapping`
+const readCsv = (content, mapping) => {
+  const [headers = [], ...rows] = parseCsv(content);
+  const resolved = resolveMapping(headers, mapping);
+  const records = rows.map((cells, index) => {
+    const raw = {};
+    Object.entries(resolved).forEach(([field, header]) => {
+      raw[field] = (cells[headers.indexOf(header)] || '').trim();
+    });
+    return { row: index + 1, fields: cleanFields(raw) };
+  });
+  return { headers, mapping: resolved, records };
+};
+
+// Our JSON export: an array of tasks (a { tasks: [...] } wrapper is fine too).
+// Export-only columns (id, checklist progress, timestamps) are ignored; a
+// checklist given as a list of items is kept.
+const readJson = (content) => {
+  const data = JSON.parse(content);
+  const tasks = Array.isArray(data) ? data : data && data.tasks;
+  if (!Array.isArray(tasks)) throw new Error('Expected a list of tasks');
+
+  const records = tasks.map((task, index) => {
+    if (!task || typeof task !== 'object') return { row: index + 1, skip: 'Not a task object' };
+    const raw = {};
+    IMPORT_FIELDS.forEach((field) => { raw[field] = task[field]; });
+    const fields = cleanFields(raw);
+    if (Array.isArray(task.checklist)) fields.checklist = task.checklist;
+    return { row: index + 1, fields };
+  });
+  return { headers: null, mapping: null, records };
+};
+
+// Trello board export (Menu → Print, export and share → Export as JSON).
+// Open cards become tasks; their list decides the status, labels become tags
+// and checklists are merged into one. Archived cards and lists are skipped.
+const readTrello = (content) => {
+  const board = JSON.parse(content);
+  if (!board || !Array.isArray(board.cards)) throw new Error('Not a Trello board export');
+
+  const lists = new Map((board.lists || []).map((list) => [list.id, list]));
+  const checklists = board.checklists || [];
+
+  const records = board.cards.map((card, index) => {
+    const list = lists.get(card.idList);
+    if (card.closed || (list && list.closed)) return { row: index + 1, skip: 'Archived card' };
+
+    let status = 'todo';
+    if (card.dueComplete || /done|complete|finished/i.test(list?.name || '')) status = 'done';
+    else if (/doing|progress|started|review/i.test(list?.name || '')) status = 'in-progress';
+
+    const fields = cleanFields({
+      title: card.name,
+      description: card.desc,
+      status,
+      dueDate: card.due ? card.due.slice(0, 10) : undefined,
+      tags: (card.labels || []).map((label) => label.name || label.color),
+    });
+    const items = checklists
+      .filter((checklist) => checklist.idCard === card.id)
+      .flatMap((checklist) => [...(checklist.checkItems || [])].sort((a, b) => a.pos - b.pos))
+      .map((item) => ({ text: item.name, done: item.state === 'complete' }));
+    if (items.length > 0) fields.checklist = items;
+    return { row: index + 1, fields };
+  });
+  return { headers: null, mapping: null, records };
+};
+
+// Todoist project export (CSV with TYPE, CONTENT, DESCRIPTION, PRIORITY, DATE
+// columns). `@label`s in the content become tags. Only dates written as
+// YYYY-MM-DD are kept; natural-language dates like "every monday" are dropped.
+const readTodoist = (content) => {
+  const [headers = [], ...rows] = parseCsv(content);
+  const column = (name) => headers.findIndex((h) => h.trim().toUpperCase() === name);
+  const [typeCol, contentCol, descriptionCol, priorityCol, dateCol] =
+    ['TYPE', 'CONTENT', 'DESCRIPTION', 'PRIORITY', 'DATE'].map(column);
+  if (typeCol === -1 || contentCol === -1) throw new Error('Not a Todoist export (no TYPE and CONTENT columns)');
+
+  const records = rows.map((cells, index) => {
+    const row = index + 1;
+    if ((cells[typeCol] || '').trim().toLowerCase() !== 'task') return { row, skip: 'Not a task (section or note)' };
+
+    const text = cells[contentCol] || '';
+    const tags = (text.match(/(^|\s)@[\w-]+/g) || []).map((label) => label.trim().slice(1));
+    const date = dateCol === -1 ? '' : (cells[dateCol] || '').trim();
+    return {
+      row,
+      fields: cleanFields({
+        title: text.replace(/(^|\s)@[\w-]+/g, '').trim(),
+        description: descriptionCol === -1 ? '' : cells[descriptionCol],
+        priority: TODOIST_PRIORITIES[(cells[priorityCol] || '').trim()],
+        dueDate: /^\d{4}-\d{2}-\d{2}/.test(date) ? date.slice(0, 10) : undefined,
+        tags,
+      }),
+    };
+  });
+  return { headers: null, mapping: null, records };
+};
+
+const READERS = { csv: readCsv, json: readJson, trello: readTrello, todoist: readTodoist };
+const IMPORT_FORMATS = Object.keys(READERS);
+
+// Read an uploaded file. Throws with a readable message if it can't be parsed.
+const readImport = (format, content, mapping) => READERS[format](content, mapping);
+
+module.exports = { IMPORT_FIELDS, IMPORT_FORMATS, readImport };
@@ -0,0 +1,54 @@
+const { recordAudit } = require('./audit');
+const { sendAccountLockedEmail } = require('./emails');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 250ms, 500ms, 1s, 2s, 4s... capped so a request never hangs too long
+const progressiveDelayMs = (attempts) => Math.min(250 * 2 ** (attempts - 1), 4000);
+
+// Helper: reply 423 if the account is locked. Returns true when it replied.
+const rejectIfLocked = (user, res) => {
+  if (!user.isLocked()) return false;
+  const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(423).json({
+    success: false,
+    error: `Account temporarily locked after too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    retryAfter,
+  });
+  return true;
+};
+
+// Helper: reply 403 if an admin disabled the account, at login or on a request
+// whose token or key is still valid. Returns true when it replied.
+const rejectIfDisabled = (user, res) => {
+  if (!user.disabled) return false;
+  res.status(403).json({
+    success: false,
+    error: 'This account has been disabled. Contact an administrator.',
+    code: 'ACCOUNT_DISABLED',
+  });
+  return true;
+};
+
+// Helper: count a failed password/2FA attempt, slow the caller down, and
+// audit + notify the owner when it tips the account into a lockout
+const handleFailedLogin = async (req, user, reason) => {
+  const { attempts, lockUntil } = await user.registerFailedLogin();
+
+  if (lockUntil) {
+    await recordAudit(req, {
+      user: user._id,
+      action: 'account.locked',
+      metadata: { reason, lockUntil },
+    });
+    sendAccountLockedEmail(user, lockUntil, req.ip).catch((mailError) => {
+      console.error('Lockout email error:', mailError);
+    });
+  }
+
+  await sleep(progressiveDelayMs(attempts));
+  return lockUntil;
+};
+
+module.exports = { rejectIfLocked, rejectIfDisabled, handleFailedLogin };
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+// Transports share one signature: async ({ to, subject, text, html }) => void.
+// MAIL_TRANSPORT picks one at startup; tests can swap it with setTransport().
+const transports = {
+  // Real delivery through any SMTP server
+  smtp: () => {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+    return (message) => transporter.sendMail({ from: process.env.MAIL_FROM, ...message });
+  },
+
+  // Development: print the message instead of sending it
+  console: () => async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+
+  // Tests: append each message as a JSON line so it can be read back
+  file: () => {
+    const file = path.resolve(process.env.MAIL_FILE || 'mail.log');
+    return async (message) => {
+      const entry = { ...message, from: process.env.MAIL_FROM, sentAt: new Date().toISOString() };
+      await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+    };
+  },
+};
+
+let activeTransport = null;
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!transports[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    activeTransport = transports[name]();
+  }
+  return activeTransport;
+};
+
+// Replace the transport (e.g. with an in-memory collector in tests)
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  await getTransport()({ to, subject, text, html });
+};
+
+module.exports = { sendMail, setTransport };
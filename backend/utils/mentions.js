@@ -0,0 +1,24 @@
+// @mentions in comment text. A handle is the part of someone's email before
+// the @, so "@jane.doe" mentions jane.doe@example.com.
+const MENTION_PATTERN = /(^|[^\w.@])@([a-z0-9._+-]+)/gi;
+
+const getHandle = (email) => email.split('@')[0].toLowerCase();
+
+// Unique lowercased handles mentioned in the text
+const extractHandles = (text) => {
+  const handles = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    // Sentence punctuation isn't part of the handle: "thanks @jane."
+    const handle = match[2].replace(/\.+$/, '').toLowerCase();
+    if (handle) handles.add(handle);
+  }
+  return handles;
+};
+
+// The users (from those given) that the text mentions
+const resolveMentions = (text, users) => {
+  const handles = extractHandles(text);
+  return users.filter((user) => handles.has(getHandle(user.email)));
+};
+
+module.exports = { getHandle, extractHandles, resolveMentions };
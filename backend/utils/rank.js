@@ -0,0 +1,63 @@
+// Fractional ranks for manual ordering (board columns).
+//
+// A rank is a base-36 string ('0'-'9', 'a'-'z') and items sort by plain string
+// comparison, which MongoDB does too. There is always a rank between any two
+// others, so moving an item rewrites only that item. Ranks never end in '0',
+// which keeps room below every rank.
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+
+const isValidRank = (rank) => typeof rank === 'string' && /^[0-9a-z]*[1-9a-z]$/.test(rank);
+
+// A rank strictly between `before` and `after`; either may be null for the
+// start/end of the list
+const rankBetween = (before, after) => {
+  if (before !== null && !isValidRank(before)) throw new Error(`Invalid rank "${before}"`);
+  if (after !== null && !isValidRank(after)) throw new Error(`Invalid rank "${after}"`);
+  if (before !== null && after !== null && before >= after) {
+    throw new Error(`Rank "${before}" must sort before "${after}"`);
+  }
+
+  // At either end, step a single digit instead of halving, so repeatedly
+  // adding to the top or bottom lengthens ranks only every ~35 moves
+  if (before === null && after !== null) {
+    const p = after.search(/[^0]/);
+    const digit = DIGITS.indexOf(after[p]);
+    return after.slice(0, p) + (digit > 1 ? DIGITS[digit - 1] : '0z');
+  }
+  if (after === null && before !== null) {
+    const p = before.search(/[^z]/);
+    if (p === -1) return `${before}1`;
+    return before.slice(0, p) + DIGITS[DIGITS.indexOf(before[p]) + 1];
+  }
+
+  const low = before || '';
+  let high = after;
+  let rank = '';
+  for (let i = 0; ; i += 1) {
+    const lowDigit = i < low.length ? DIGITS.indexOf(low[i]) : 0;
+    const highDigit = high !== null && i < high.length ? DIGITS.indexOf(high[i]) : BASE;
+
+    if (lowDigit === highDigit) {
+      rank += DIGITS[lowDigit];
+    } else {
+      const middle = Math.floor((lowDigit + highDigit) / 2);
+      if (middle > lowDigit) return rank + DIGITS[middle];
+      // Neighbouring digits: keep the lower one; past it `high` no longer limits us
+      rank += DIGITS[lowDigit];
+      high = null;
+    }
+  }
+};
+
+// `count` evenly spread ranks between `before` and `after`, in order. Splitting
+// down the middle keeps them short.
+const ranksBetween = (before, after, count) => {
+  if (count <= 0) return [];
+  const middle = Math.floor(count / 2);
+  const rank = rankBetween(before, after);
+  return [...ranksBetween(before, rank, middle), rank, ...ranksBetween(rank, after, count - middle - 1)];
+};
+
+module.exports = { isValidRank, rankBetween, ranksBetween };
@@ -0,0 +1,136 @@
+// Recurrence rules for repeating tasks: a subset of RFC 5545 RRULE.
+//
+//   FREQ=DAILY|WEEKLY|MONTHLY|YEARLY   (required)
+//   INTERVAL=n                         every n days/weeks/months/years
+//   BYDAY=MO,WE,...                    weekdays (WEEKLY only)
+//   BYMONTHDAY=1,15,-1                 days of the month, -1 = last (MONTHLY only)
+//   COUNT=n | UNTIL=YYYYMMDD[THHMMSSZ] how the series ends (not both)
+//
+// Dates are compared as UTC calendar days, matching how due dates are stored.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+// Index matches Date#getUTCDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+// Longest gap between two occurrences, in days per unit of INTERVAL
+const MAX_GAP_DAYS = { DAILY: 1, WEEKLY: 7, MONTHLY: 31, YEARLY: 366 };
+
+const dayNumber = (date) => Math.floor(date.getTime() / DAY_MS);
+const weekNumber = (date) => dayNumber(date) - ((date.getUTCDay() + 6) % 7); // weeks start on Monday
+const daysInMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) throw new Error('UNTIL must look like YYYYMMDD or YYYYMMDDTHHMMSSZ');
+  const [, y, m, d, , hh = '23', mm = '59', ss = '59'] = match;
+  const until = new Date(Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss));
+  if (Number.isNaN(until.getTime()) || until.getUTCDate() !== +d) throw new Error('UNTIL is not a valid date');
+  return until;
+};
+
+const parseInteger = (key, value, min, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${key} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+};
+
+// "RRULE:FREQ=weekly;byday=mo" -> "FREQ=WEEKLY;BYDAY=MO"
+const normalizeRule = (text) => String(text).trim().replace(/^RRULE:/i, '').toUpperCase();
+
+// Parse a rule, throwing an Error with a user-facing message if it's invalid
+// or outside the supported subset
+const parseRule = (text) => {
+  const rule = { interval: 1, byDay: null, byMonthDay: null, count: null, until: null };
+  const seen = new Set();
+
+  for (const part of normalizeRule(text).split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!value) throw new Error(`Malformed RRULE part "${part}"`);
+    if (seen.has(key)) throw new Error(`${key} appears more than once`);
+    seen.add(key);
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) throw new Error(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInteger(key, value, 1, 365);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map((day) => {
+          if (!WEEKDAYS.includes(day)) throw new Error(`Unsupported BYDAY value "${day}"`);
+          return WEEKDAYS.indexOf(day);
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map((day) => {
+          const number = parseInteger(key, day, -31, 31);
+          if (number === 0) throw new Error('BYMONTHDAY cannot be 0');
+          return number;
+        });
+        break;
+      case 'COUNT':
+        rule.count = parseInteger(key, value, 1, 1000);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part "${key}"`);
+    }
+  }
+
+  if (!rule.freq) throw new Error('FREQ is required');
+  if (rule.count && rule.until) throw new Error('Use either COUNT or UNTIL, not both');
+  if (rule.byDay && rule.freq !== 'WEEKLY') throw new Error('BYDAY is only supported with FREQ=WEEKLY');
+  if (rule.byMonthDay && rule.freq !== 'MONTHLY') throw new Error('BYMONTHDAY is only supported with FREQ=MONTHLY');
+  return rule;
+};
+
+// Does `date` fall on the series defined by `rule`, anchored at `start` (DTSTART)?
+const matches = (rule, start, date) => {
+  const { freq, interval } = rule;
+
+  if (freq === 'DAILY') {
+    return (dayNumber(date) - dayNumber(start)) % interval === 0;
+  }
+  if (freq === 'WEEKLY') {
+    const days = rule.byDay || [start.getUTCDay()];
+    const weeks = (weekNumber(date) - weekNumber(start)) / 7;
+    return days.includes(date.getUTCDay()) && weeks % interval === 0;
+  }
+
+  const months = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 + date.getUTCMonth() - start.getUTCMonth();
+  if (freq === 'MONTHLY') {
+    // Days a month doesn't have (e.g. the 31st) are skipped, as RFC 5545 specifies
+    const monthDays = (rule.byMonthDay || [start.getUTCDate()])
+      .map((day) => (day > 0 ? day : daysInMonth(date) + day + 1));
+    return months % interval === 0 && monthDays.includes(date.getUTCDate());
+  }
+  // YEARLY: same month and day as the start; Feb 29 only recurs in leap years
+  return months % (12 * interval) === 0 && date.getUTCDate() === start.getUTCDate();
+};
+
+// Due date of the occurrence after `after` (the current occurrence's due date),
+// or null when the series has ended. `occurrence` is the 1-based number of the
+// current occurrence, used for COUNT.
+const getNextOccurrence = (ruleText, { start, after, occurrence = 1 }) => {
+  const rule = parseRule(ruleText);
+  if (rule.count && occurrence >= rule.count) return null;
+
+  const anchor = new Date(start);
+  const from = new Date(after);
+  const limit = MAX_GAP_DAYS[rule.freq] * rule.interval * 4 + 366;
+
+  for (let offset = 1; offset <= limit; offset += 1) {
+    const candidate = new Date(from.getTime() + offset * DAY_MS);
+    if (rule.until && dayNumber(candidate) > dayNumber(rule.until)) return null;
+    if (dayNumber(candidate) >= dayNumber(anchor) && matches(rule, anchor, candidate)) return candidate;
+  }
+  return null;
+};
+
+module.exports = { normalizeRule, parseRule, getNextOccurrence };
@@ -0,0 +1,15 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request context that code far from the route handler (model hooks) can
+// read without every call site passing `req` along.
+const storage = new AsyncLocalStorage();
+
+// Express middleware: run the rest of the request inside its own context
+const requestContext = (req, res, next) => {
+  storage.run({ req }, next);
+};
+
+// The authenticated user behind the current request, or null (scripts, jobs)
+const getCurrentUserId = () => storage.getStore()?.req.user?._id || null;
+
+module.exports = { requestContext, getCurrentUserId };
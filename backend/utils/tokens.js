@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const REFRESH_TOKEN_TTL_MS =
+  Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS || 7) * 24 * 60 * 60 * 1000;
+
+// AUTH_MODE=cookie keeps tokens out of JavaScript entirely (httpOnly cookies)
+const COOKIE_AUTH = process.env.AUTH_MODE === 'cookie';
+
+const AUTH_COOKIES = {
+  access: 'access_token',
+  refresh: 'refresh_token',
+  csrf: 'csrf_token',
+};
+
+const cookieOptions = {
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.COOKIE_SAMESITE || 'strict',
+};
+
+// Helper: random URL-safe secret
+const generateRandomToken = (bytes = 48) => crypto.randomBytes(bytes).toString('base64url');
+
+// Helper: SHA-256 of a token, used for everything we store server-side
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Helper: generate short-lived access JWT bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  });
+};
+
+// Helper: short-lived token proving the password step of a 2FA login succeeded.
+// It carries no session id, so authenticate() will never accept it.
+const generateChallengeToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+  });
+};
+
+// Returns the user id from a valid challenge token, otherwise null
+const verifyChallengeToken = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch {
+    return null;
+  }
+};
+
+const formatRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+// Split `<sessionId>.<secret>` — returns null for anything malformed
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+// Device details recorded on a session
+const getClientInfo = (req) => ({
+  userAgent: (req.get('User-Agent') || '').slice(0, 500),
+  ip: req.ip || '',
+});
+
+// Start a new session (token family) and return its first token pair
+const createSession = async (user, req) => {
+  const secret = generateRandomToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    ...getClientInfo(req),
+  });
+  return {
+    session,
+    token: generateAccessToken(user._id, session._id),
+    refreshToken: formatRefreshToken(session._id, secret),
+  };
+};
+
+// Exchange a refresh token for a new pair. Presenting a token that was already
+// rotated away means it leaked (or was replayed), so the whole session dies.
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'Invalid refresh token.' };
+
+  const secret = generateRandomToken();
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: hashToken(parsed.secret),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      refreshTokenHash: hashToken(secret),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      lastSeenAt: new Date(),
+      ...getClientInfo(req),
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(parsed.sessionId);
+    if (!existing) return { error: 'Invalid refresh token.' };
+    if (existing.revokedAt) return { error: 'Session has been revoked. Please log in again.' };
+    if (existing.expiresAt <= new Date()) return { error: 'Session expired. Please log in again.' };
+
+    existing.revokedAt = new Date();
+    existing.revokedReason = 'reuse-detected';
+    await existing.save();
+    return { error: 'Refresh token reuse detected. Please log in again.' };
+  }
+
+  return {
+    session,
+    token: generateAccessToken(session.user, session._id),
+    refreshToken: formatRefreshToken(session._id, secret),
+  };
+};
+
+// Revoke the session a refresh token belongs to (logout)
+const revokeSession = async (refreshToken, reason = 'logout') => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  return Session.findOneAndUpdate(
+    { _id: parsed.sessionId, refreshTokenHash: hashToken(parsed.secret), revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+};
+
+// Helper: set auth cookies plus a fresh double-submit CSRF token
+const setAuthCookies = (res, { token, refreshToken }) => {
+  res.cookie(AUTH_COOKIES.access, token, { ...cookieOptions, httpOnly: true, path: '/' });
+  res.cookie(AUTH_COOKIES.refresh, refreshToken, {
+    ...cookieOptions,
+    httpOnly: true,
+    path: '/api/auth',
+    maxAge: REFRESH_TOKEN_TTL_MS,
+  });
+  // Readable by the frontend so it can echo it back in the X-CSRF-Token header
+  res.cookie(AUTH_COOKIES.csrf, generateRandomToken(32), {
+    ...cookieOptions,
+    httpOnly: false,
+    path: '/',
+    maxAge: REFRESH_TOKEN_TTL_MS,
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie(AUTH_COOKIES.access, { ...cookieOptions, path: '/' });
+  res.clearCookie(AUTH_COOKIES.refresh, { ...cookieOptions, path: '/api/auth' });
+  res.clearCookie(AUTH_COOKIES.csrf, { ...cookieOptions, path: '/' });
+};
+
+// Helper: deliver a token pair — as cookies in cookie mode, in the body otherwise
+const deliverTokens = (res, tokens) => {
+  if (COOKIE_AUTH) {
+    setAuthCookies(res, tokens);
+    return {};
+  }
+  return { token: tokens.token, refreshToken: tokens.refreshToken };
+};
+
+// Helper: refresh token from the request body or, in cookie mode, the cookie
+const getRefreshToken = (req) => req.body?.refreshToken || req.cookies?.[AUTH_COOKIES.refresh];
+
+// Helper: start a session and send the token pair
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const tokens = await createSession(user, req);
+  res.status(statusCode).json({
+    success: true,
+    ...deliverTokens(res, tokens),
+    user,
+  });
+};
+
+module.exports = {
+  COOKIE_AUTH,
+  AUTH_COOKIES,
+  generateRandomToken,
+  hashToken,
+  generateAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  clearAuthCookies,
+  deliverTokens,
+  getRefreshToken,
+  sendTokenResponse,
+};
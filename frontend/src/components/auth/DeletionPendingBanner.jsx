@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import api from '../../utils/api';
+
+const DeletionPendingBanner = () => {
+  const { user, updateUser } = useAuth();
+  const [isCancelling, setIsCancelling] = useState(false);
+
+  if (!user?.deletionScheduledFor) return null;
+
+  const handleCancel = async () => {
+    setIsCancelling(true);
+    try {
+      const { data } = await api.post('/users/me/cancel-deletion');
+      updateUser(data.user);
+      toast.success(data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Could not cancel account deletion');
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
+  return (
+    <div className="notice-banner">
+      <span>
+        🗑️ Your account will be deleted on <strong>{format(new Date(user.deletionScheduledFor), 'MMM d, yyyy')}</strong>.
+      </span>
+      <button className="btn btn-secondary btn-sm" onClick={handleCancel} disabled={isCancelling}>
+        {isCancelling ? 'Cancelling...' : 'Keep my account'}
+      </button>
+    </div>
+  );
+};
+
+export default DeletionPendingBanner;
@@ -0,0 +1,35 @@
+import React, { useEffect, useState } from 'react';
+import api, { baseURL } from '../../utils/api';
+
+// Sign-in buttons for whichever providers the backend has configured.
+// Each is a plain link: the flow is a full-page redirect through the provider.
+const OAuthButtons = () => {
+  const [providers, setProviders] = useState([]);
+
+  useEffect(() => {
+    api.get('/auth/oauth/providers')
+      .then(({ data }) => setProviders(data.providers))
+      .catch(() => setProviders([]));
+  }, []);
+
+  if (providers.length === 0) return null;
+
+  return (
+    <>
+      <div className="auth-divider"><span>or continue with</span></div>
+      <div className="oauth-buttons">
+        {providers.map((provider) => (
+          <a
+            key={provider.id}
+            href={`${baseURL}/auth/oauth/${provider.id}`}
+            className="btn btn-secondary"
+          >
+            {provider.name}
+          </a>
+        ))}
+      </div>
+    </>
+  );
+};
+
+export default OAuthButtons;
@@ -0,0 +1,36 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import api from '../../utils/api';
+
+const VerifyEmailBanner = () => {
+  const { user } = useAuth();
+  const [isSending, setIsSending] = useState(false);
+
+  if (!user || user.emailVerified) return null;
+
+  const handleResend = async () => {
+    setIsSending(true);
+    try {
+      const { data } = await api.post('/auth/resend-verification');
+      toast.success(data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Could not send verification email');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="notice-banner">
+      <span>
+        ✉️ Please verify <strong>{user.email}</strong> — until then some features are limited.
+      </span>
+      <button className="btn btn-secondary btn-sm" onClick={handleResend} disabled={isSending}>
+        {isSending ? 'Sending...' : 'Resend email'}
+      </button>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -0,0 +1,20 @@
+import React from 'react';
+
+const getInitials = (name) =>
+  name ? name.split(' ').map((n) => n[0]).join('').toUpperCase().slice(0, 2) : '?';
+
+const AssigneeAvatars = ({ assignees }) => {
+  if (!assignees?.length) {
+    return <span style={{ color: 'var(--text-muted)', fontSize: '12px' }}>—</span>;
+  }
+  return (
+    <div className="assignee-avatars">
+      {assignees.slice(0, 3).map((a) => (
+        <span key={a._id} className="user-avatar xs" title={a.name}>{getInitials(a.name)}</span>
+      ))}
+      {assignees.length > 3 && <span className="assignee-more">+{assignees.length - 3}</span>}
+    </div>
+  );
+};
+
+export default AssigneeAvatars;
@@ -0,0 +1,196 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { format, parseISO } from 'date-fns';
+import toast from 'react-hot-toast';
+import api from '../../utils/api';
+import { useWorkspace } from '../../context/WorkspaceContext';
+import { PriorityBadge } from './TaskBadges';
+import AssigneeAvatars from './AssigneeAvatars';
+import { describeRule } from '../../utils/recurrence';
+
+const COLUMNS = [
+  { status: 'todo', label: 'To Do' },
+  { status: 'in-progress', label: 'In Progress' },
+  { status: 'done', label: 'Done' },
+];
+const COLUMN_LIMIT = 100;
+
+const BoardCard = ({ task, canEdit, isDragging, onOpen, onDragStart, onDragEnd }) => (
+  <div
+    className={`board-card ${isDragging ? 'dragging' : ''}`}
+    data-task-id={task._id}
+    draggable={canEdit}
+    onDragStart={onDragStart}
+    onDragEnd={onDragEnd}
+  >
+    <button type="button" className="task-title task-title-link" onClick={onOpen}>{task.title}</button>
+    <div className="board-card-meta">
+      <PriorityBadge priority={task.priority} />
+      {task.dueDate && <span className="board-card-due">{format(parseISO(task.dueDate), 'MMM d')}</span>}
+      {task.recurrence && (
+        <span className="recurrence-indicator" title={describeRule(task.recurrence.rule)}>🔁</span>
+      )}
+      {task.isBlocked && <span className="blocked-indicator">🔒</span>}
+      {task.checklistProgress?.total > 0 && (
+        <span className="checklist-progress">☑ {task.checklistProgress.done}/{task.checklistProgress.total}</span>
+      )}
+      {task.commentCount > 0 && <span className="comment-count">💬 {task.commentCount}</span>}
+      <span style={{ marginLeft: 'auto' }}><AssigneeAvatars assignees={task.assignees} /></span>
+    </div>
+  </div>
+);
+
+// Tasks as status columns in their manual order. Editors drag cards within and
+// between columns; each drop is saved with PATCH /tasks/:id/move.
+// `refreshKey` changing reloads the board (e.g. after an edit elsewhere).
+const BoardView = ({ filterParams, canEdit, refreshKey, onOpenTask, onMoved }) => {
+  const { currentWorkspaceId } = useWorkspace();
+  const [columns, setColumns] = useState({});
+  const [totals, setTotals] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [dragging, setDragging] = useState(null);
+  // Where the dragged card would land: { status, index } among the other cards
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const paramsKey = JSON.stringify(filterParams);
+
+  const loadBoard = useCallback(async () => {
+    try {
+      const params = JSON.parse(paramsKey);
+      const responses = await Promise.all(COLUMNS.map(({ status }) =>
+        api.get('/tasks', { params: { ...params, status, sortBy: 'position', limit: COLUMN_LIMIT } })
+      ));
+      setColumns(Object.fromEntries(COLUMNS.map(({ status }, i) => [status, responses[i].data.tasks])));
+      setTotals(Object.fromEntries(COLUMNS.map(({ status }, i) => [status, responses[i].data.pagination.total])));
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load board');
+    } finally {
+      setLoading(false);
+    }
+  }, [paramsKey]);
+
+  // currentWorkspaceId is sent as a header by the API client; reload when it changes
+  useEffect(() => { loadBoard(); }, [loadBoard, refreshKey, currentWorkspaceId]);
+
+  const onDragOver = (status) => (e) => {
+    if (!dragging) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    const cards = [...e.currentTarget.querySelectorAll('[data-task-id]')]
+      .filter((card) => card.dataset.taskId !== dragging._id);
+    const below = cards.findIndex((card) => {
+      const box = card.getBoundingClientRect();
+      return e.clientY < box.top + box.height / 2;
+    });
+    const index = below === -1 ? cards.length : below;
+    if (dropTarget?.status !== status || dropTarget?.index !== index) setDropTarget({ status, index });
+  };
+
+  const endDrag = () => {
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  const onDrop = async (e) => {
+    e.preventDefault();
+    const task = dragging;
+    const target = dropTarget;
+    endDrag();
+    if (!task || !target) return;
+
+    const { status, index } = target;
+    const others = columns[status].filter((t) => t._id !== task._id);
+    // Dropped back where it was
+    if (task.status === status && columns[status].findIndex((t) => t._id === task._id) === index) return;
+
+    // Show the move straight away; the server's answer replaces the card
+    const moved = { ...task, status };
+    setColumns((prev) => ({
+      ...prev,
+      [task.status]: prev[task.status].filter((t) => t._id !== task._id),
+      [status]: [...others.slice(0, index), moved, ...others.slice(index)],
+    }));
+    if (task.status !== status) {
+      setTotals((prev) => ({ ...prev, [task.status]: prev[task.status] - 1, [status]: prev[status] + 1 }));
+    }
+
+    try {
+      const { data } = await api.patch(`/tasks/${task._id}/move`, {
+        status,
+        afterId: index > 0 ? others[index - 1]._id : null,
+      });
+      setColumns((prev) => ({
+        ...prev,
+        [status]: prev[status].map((t) => (t._id === task._id ? { ...data.task, commentCount: task.commentCount } : t)),
+      }));
+      if (data.nextOccurrence) {
+        toast.success(`Next occurrence due ${format(parseISO(data.nextOccurrence.dueDate), 'MMM d, yyyy')}`);
+        loadBoard();
+      }
+      if (task.status !== status) onMoved();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to move task');
+      loadBoard();
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="empty-state">
+        <div className="spinner" style={{ margin: '0 auto' }} />
+        <p style={{ marginTop: '16px', color: 'var(--text-muted)' }}>Loading board...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="board">
+      {COLUMNS.map(({ status, label }) => {
+        const tasks = columns[status] || [];
+        const showIndicator = dropTarget?.status === status;
+        // The indicator sits above this card (none: at the end of the column)
+        const indicatorBefore = showIndicator
+          ? tasks.filter((t) => t._id !== dragging?._id)[dropTarget.index]?._id
+          : undefined;
+        return (
+          <section
+            key={status}
+            className={`board-column ${showIndicator ? 'drop-active' : ''}`}
+            onDragOver={onDragOver(status)}
+            onDrop={onDrop}
+          >
+            <header className="board-column-header">
+              <span>{label}</span>
+              <span className="board-column-count">{totals[status] ?? 0}</span>
+            </header>
+            <div className="board-column-cards">
+              {tasks.map((task) => (
+                <React.Fragment key={task._id}>
+                  {indicatorBefore === task._id && <div className="board-drop-indicator" />}
+                  <BoardCard
+                    task={task}
+                    canEdit={canEdit}
+                    isDragging={dragging?._id === task._id}
+                    onOpen={() => onOpenTask(task)}
+                    onDragStart={(e) => {
+                      e.dataTransfer.effectAllowed = 'move';
+                      e.dataTransfer.setData('text/plain', task._id);
+                      setDragging(task);
+                    }}
+                    onDragEnd={endDrag}
+                  />
+                </React.Fragment>
+              ))}
+              {showIndicator && !indicatorBefore && <div className="board-drop-indicator" />}
+              {tasks.length === 0 && !showIndicator && <p className="board-column-empty">No tasks</p>}
+              {totals[status] > tasks.length && (
+                <p className="board-column-empty">Showing the first {COLUMN_LIMIT} tasks</p>
+              )}
+            </div>
+          </section>
+        );
+      })}
+    </div>
+  );
+};
+
+export default BoardView;
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+
+const ACTIONS = [
+  { id: 'status', label: 'Set status' },
+  { id: 'priority', label: 'Set priority' },
+  { id: 'addTags', label: 'Add tags' },
+  { id: 'removeTags', label: 'Remove tags' },
+  { id: 'dueDate', label: 'Set due date' },
+  { id: 'delete', label: 'Move to trash' },
+];
+
+// Tags typed as "urgent, backend" -> ['urgent', 'backend']
+const parseTags = (text) => [...new Set(text.split(',').map((t) => t.trim()).filter(Boolean))];
+
+// Shown above the task table while tasks are selected; picks one action and
+// its value and hands them to onApply(action, value)
+const BulkActionBar = ({ label, isBusy, onApply, onClear, children }) => {
+  const [action, setAction] = useState('status');
+  const [value, setValue] = useState('todo');
+
+  const changeAction = (next) => {
+    setAction(next);
+    setValue({ status: 'todo', priority: 'medium' }[next] || '');
+  };
+
+  const isTagAction = action === 'addTags' || action === 'removeTags';
+  const canApply = !isBusy && (!isTagAction || parseTags(value).length > 0);
+
+  const apply = (e) => {
+    e.preventDefault();
+    if (isTagAction) onApply(action, parseTags(value));
+    else if (action === 'dueDate') onApply(action, value || null);
+    else onApply(action, value);
+  };
+
+  return (
+    <form className="bulk-bar" onSubmit={apply}>
+      <span className="bulk-bar-count">{label}</span>
+      {children}
+      <select className="filter-select" value={action} onChange={(e) => changeAction(e.target.value)}>
+        {ACTIONS.map((a) => <option key={a.id} value={a.id}>{a.label}</option>)}
+      </select>
+
+      {action === 'status' && (
+        <select className="filter-select" value={value} onChange={(e) => setValue(e.target.value)}>
+          <option value="todo">To Do</option>
+          <option value="in-progress">In Progress</option>
+          <option value="done">Done</option>
+        </select>
+      )}
+      {action === 'priority' && (
+        <select className="filter-select" value={value} onChange={(e) => setValue(e.target.value)}>
+          <option value="low">Low</option>
+          <option value="medium">Medium</option>
+          <option value="high">High</option>
+        </select>
+      )}
+      {isTagAction && (
+        <input
+          type="text"
+          className="filter-select"
+          placeholder="tag, another tag"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+        />
+      )}
+      {action === 'dueDate' && (
+        <input
+          type="date"
+          className="filter-select"
+          title="Leave empty to clear the due date"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+        />
+      )}
+
+      <button
+        type="submit"
+        className={`btn btn-sm ${action === 'delete' ? 'btn-danger' : 'btn-primary'}`}
+        style={{ width: 'auto' }}
+        disabled={!canApply}
+      >
+        {isBusy ? 'Applying...' : 'Apply'}
+      </button>
+      <button type="button" className="link-button" onClick={onClear}>Clear selection</button>
+    </form>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,174 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import {
+  addDays, addMonths, addWeeks, endOfMonth, endOfWeek, format, isSameMonth, isToday, parseISO,
+  startOfMonth, startOfWeek,
+} from 'date-fns';
+import toast from 'react-hot-toast';
+import api from '../../utils/api';
+import { useWorkspace } from '../../context/WorkspaceContext';
+
+const WEEK_OPTIONS = { weekStartsOn: 1 };
+// Day cells show this many tasks before collapsing the rest into "+N more"
+const MONTH_CELL_LIMIT = 3;
+
+// Due dates are calendar days stored as UTC midnight, so key them by their UTC date
+const dayKey = (dueDate) => dueDate.slice(0, 10);
+
+// Days shown for the given mode around `anchor`: whole weeks covering the month, or one week
+const getVisibleDays = (mode, anchor) => {
+  const first = mode === 'month' ? startOfWeek(startOfMonth(anchor), WEEK_OPTIONS) : startOfWeek(anchor, WEEK_OPTIONS);
+  const last = mode === 'month' ? endOfWeek(endOfMonth(anchor), WEEK_OPTIONS) : endOfWeek(anchor, WEEK_OPTIONS);
+  const days = [];
+  for (let day = first; day <= last; day = addDays(day, 1)) days.push(day);
+  return days;
+};
+
+// Tasks placed on their due dates, by month or week. Editors drag a task to
+// another day to reschedule it. `refreshKey` changing reloads the calendar.
+const CalendarView = ({ filterParams, canEdit, refreshKey, onOpenTask }) => {
+  const { currentWorkspaceId } = useWorkspace();
+  const [mode, setMode] = useState('month');
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [tasks, setTasks] = useState([]);
+  const [truncated, setTruncated] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [dragging, setDragging] = useState(null);
+  const [dropDay, setDropDay] = useState(null);
+  const [expandedDay, setExpandedDay] = useState(null);
+
+  const days = getVisibleDays(mode, anchor);
+  const from = format(days[0], 'yyyy-MM-dd');
+  const to = format(addDays(days[days.length - 1], 1), 'yyyy-MM-dd');
+  const paramsKey = JSON.stringify(filterParams);
+
+  const loadCalendar = useCallback(async () => {
+    try {
+      const { data } = await api.get('/tasks/calendar', { params: { ...JSON.parse(paramsKey), from, to } });
+      setTasks(data.tasks);
+      setTruncated(data.truncated);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load calendar');
+    } finally {
+      setLoading(false);
+    }
+  }, [paramsKey, from, to]);
+
+  // currentWorkspaceId is sent as a header by the API client; reload when it changes
+  useEffect(() => { loadCalendar(); }, [loadCalendar, refreshKey, currentWorkspaceId]);
+
+  const tasksByDay = tasks.reduce((byDay, task) => {
+    const key = dayKey(task.dueDate);
+    (byDay[key] = byDay[key] || []).push(task);
+    return byDay;
+  }, {});
+
+  const step = (direction) => setAnchor((a) => (mode === 'month' ? addMonths(a, direction) : addWeeks(a, direction)));
+
+  const onDrop = async (e, key) => {
+    e.preventDefault();
+    const task = dragging;
+    setDragging(null);
+    setDropDay(null);
+    if (!task || dayKey(task.dueDate) === key) return;
+
+    // Show the move straight away; put it back if the update fails
+    const dueDate = `${key}T00:00:00.000Z`;
+    setTasks((prev) => prev.map((t) => (t._id === task._id ? { ...t, dueDate } : t)));
+    try {
+      await api.put(`/tasks/${task._id}`, { dueDate: key });
+      toast.success(`"${task.title}" rescheduled to ${format(parseISO(key), 'MMM d')}`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to reschedule task');
+      loadCalendar();
+    }
+  };
+
+  const title = mode === 'month'
+    ? format(anchor, 'MMMM yyyy')
+    : `${format(days[0], 'MMM d')} – ${format(days[days.length - 1], 'MMM d, yyyy')}`;
+
+  return (
+    <div className="calendar">
+      <div className="calendar-header">
+        <div className="calendar-nav">
+          <button type="button" className="page-btn" onClick={() => step(-1)} title="Previous">←</button>
+          <button type="button" className="btn btn-secondary btn-sm" style={{ width: 'auto' }} onClick={() => setAnchor(new Date())}>
+            Today
+          </button>
+          <button type="button" className="page-btn" onClick={() => step(1)} title="Next">→</button>
+          <h3 className="calendar-title">{title}</h3>
+        </div>
+        <div className="view-toggle">
+          <button type="button" className={mode === 'month' ? 'active' : ''} onClick={() => setMode('month')}>Month</button>
+          <button type="button" className={mode === 'week' ? 'active' : ''} onClick={() => setMode('week')}>Week</button>
+        </div>
+      </div>
+
+      {truncated && <p className="calendar-note">Too many tasks are due in this range to show them all; try a filter.</p>}
+
+      {loading ? (
+        <div className="empty-state">
+          <div className="spinner" style={{ margin: '0 auto' }} />
+        </div>
+      ) : (
+        <div className={`calendar-grid ${mode}`}>
+          {days.slice(0, 7).map((day) => (
+            <div key={format(day, 'EEE')} className="calendar-weekday">{format(day, 'EEE')}</div>
+          ))}
+          {days.map((day) => {
+            const key = format(day, 'yyyy-MM-dd');
+            const dayTasks = tasksByDay[key] || [];
+            const limit = mode === 'month' && expandedDay !== key ? MONTH_CELL_LIMIT : dayTasks.length;
+            return (
+              <div
+                key={key}
+                className={[
+                  'calendar-day',
+                  mode === 'month' && !isSameMonth(day, anchor) ? 'outside' : '',
+                  isToday(day) ? 'today' : '',
+                  dropDay === key ? 'drop-active' : '',
+                ].join(' ')}
+                onDragOver={(e) => {
+                  if (!dragging) return;
+                  e.preventDefault();
+                  if (dropDay !== key) setDropDay(key);
+                }}
+                onDrop={(e) => onDrop(e, key)}
+              >
+                <span className="calendar-date">{format(day, 'd')}</span>
+                {dayTasks.slice(0, limit).map((task) => (
+                  <button
+                    key={task._id}
+                    type="button"
+                    className={`calendar-task ${task.status} priority-${task.priority}`}
+                    draggable={canEdit}
+                    onDragStart={(e) => {
+                      e.dataTransfer.effectAllowed = 'move';
+                      e.dataTransfer.setData('text/plain', task._id);
+                      setDragging(task);
+                    }}
+                    onDragEnd={() => {
+                      setDragging(null);
+                      setDropDay(null);
+                    }}
+                    onClick={() => onOpenTask(task)}
+                    title={task.title}
+                  >
+                    {task.recurrence && '🔁 '}{task.title}
+                  </button>
+                ))}
+                {dayTasks.length > limit && (
+                  <button type="button" className="link-button" onClick={() => setExpandedDay(key)}>
+                    +{dayTasks.length - limit} more
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalendarView;
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { format as formatDate } from 'date-fns';
+import toast from 'react-hot-toast';
+import api from '../../utils/api';
+
+const COLUMNS = [
+  { id: 'id', label: 'ID' },
+  { id: 'title', label: 'Title' },
+  { id: 'description', label: 'Description' },
+  { id: 'status', label: 'Status' },
+  { id: 'priority', label: 'Priority' },
+  { id: 'dueDate', label: 'Due date' },
+  { id: 'tags', label: 'Tags' },
+  { id: 'assignees', label: 'Assignees' },
+  { id: 'checklist', label: 'Checklist' },
+  { id: 'recurrence', label: 'Repeat rule' },
+  { id: 'createdAt', label: 'Created' },
+  { id: 'updatedAt', label: 'Updated' },
+];
+
+// Error bodies of blob requests arrive as a Blob too
+const readError = async (err) => {
+  try {
+    return JSON.parse(await err.response.data.text()).error;
+  } catch {
+    return null;
+  }
+};
+
+// Downloads every task matching `params` (the current filters and sort) as
+// CSV or JSON, with the columns picked here
+const ExportMenu = ({ params }) => {
+  const [open, setOpen] = useState(false);
+  const [fileFormat, setFileFormat] = useState('csv');
+  const [columns, setColumns] = useState(COLUMNS.map((c) => c.id));
+  const [isExporting, setIsExporting] = useState(false);
+
+  const toggleColumn = (id) => {
+    // Keep the file's column order fixed whatever order they're ticked in
+    setColumns((prev) => COLUMNS.map((c) => c.id).filter((c) => (c === id ? !prev.includes(c) : prev.includes(c))));
+  };
+
+  const onExport = async () => {
+    setIsExporting(true);
+    try {
+      const { data } = await api.get('/tasks/export', {
+        params: { ...params, format: fileFormat, columns: columns.join(',') },
+        responseType: 'blob',
+        // Large exports stream for longer than the shared default timeout allows
+        timeout: 0,
+      });
+      const url = URL.createObjectURL(data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `tasks-${formatDate(new Date(), 'yyyy-MM-dd')}.${fileFormat}`;
+      link.click();
+      URL.revokeObjectURL(url);
+      setOpen(false);
+    } catch (err) {
+      toast.error((await readError(err)) || 'Failed to export tasks');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      <button
+        type="button"
+        className="btn btn-secondary btn-sm"
+        style={{ width: 'auto' }}
+        onClick={() => setOpen(!open)}
+        title="Download the tasks matching the current filters"
+      >
+        ⬇ Export
+      </button>
+      {open && (
+        <div className="export-panel">
+          <div className="view-toggle" style={{ marginBottom: '12px' }}>
+            <button type="button" className={fileFormat === 'csv' ? 'active' : ''} onClick={() => setFileFormat('csv')}>CSV</button>
+            <button type="button" className={fileFormat === 'json' ? 'active' : ''} onClick={() => setFileFormat('json')}>JSON</button>
+          </div>
+          <div className="export-columns">
+            {COLUMNS.map((c) => (
+              <label key={c.id}>
+                <input type="checkbox" checked={columns.includes(c.id)} onChange={() => toggleColumn(c.id)} />
+                {c.label}
+              </label>
+            ))}
+          </div>
+          <button
+            type="button"
+            className="btn btn-primary btn-sm"
+            style={{ width: '100%' }}
+            disabled={isExporting || columns.length === 0}
+            onClick={onExport}
+          >
+            {isExporting ? 'Exporting...' : 'Download'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
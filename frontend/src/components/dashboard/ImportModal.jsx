@@ -0,0 +1,237 @@
+import React, { useEffect, useState } from 'react';
+import { format, isValid, parseISO } from 'date-fns';
+import toast from 'react-hot-toast';
+import api from '../../utils/api';
+import { StatusBadge, PriorityBadge } from './TaskBadges';
+
+const FORMATS = [
+  { id: 'csv', label: 'CSV', accept: '.csv,text/csv', hint: 'A header row, then one task per row. Files from Export → CSV work as they are.' },
+  { id: 'json', label: 'JSON', accept: '.json,application/json', hint: 'A file from Export → JSON.' },
+  { id: 'trello', label: 'Trello', accept: '.json,application/json', hint: 'In Trello: board menu → Print, export and share → Export as JSON.' },
+  { id: 'todoist', label: 'Todoist', accept: '.csv,text/csv', hint: 'In Todoist: project menu → Export as a template → Download as CSV.' },
+];
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  dueDate: 'Due date',
+  tags: 'Tags',
+  assignees: 'Assignees (emails)',
+  recurrence: 'Repeat rule',
+};
+
+const RESULT_LABELS = {
+  ready: 'Ready',
+  imported: 'Imported',
+  invalid: 'Invalid',
+  duplicate: 'Duplicate',
+  skipped: 'Skipped',
+};
+
+// Leaves room for JSON escaping under the server's 2 MB request limit
+const MAX_FILE_BYTES = 1.5 * 1024 * 1024;
+
+// Import wizard: pick a format and file, map CSV columns, check the preview
+// (a dry run on the server), then import the rows that passed
+const ImportModal = ({ onClose, onImported }) => {
+  const [fileFormat, setFileFormat] = useState('csv');
+  const [file, setFile] = useState(null);
+  // null lets the server match columns by name; set once the user picks one
+  const [mapping, setMapping] = useState(null);
+  const [importDuplicates, setImportDuplicates] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const payload = {
+    format: fileFormat,
+    content: file?.content,
+    duplicates: importDuplicates ? 'import' : 'skip',
+    ...(mapping && { mapping }),
+  };
+  const payloadKey = JSON.stringify(payload);
+
+  // Preview again whenever the file or an option changes
+  useEffect(() => {
+    if (!file) return undefined;
+    let cancelled = false;
+    setIsBusy(true);
+    api.post('/tasks/import', { ...JSON.parse(payloadKey), dryRun: true })
+      .then(({ data }) => {
+        if (!cancelled) setPreview(data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setPreview(null);
+        toast.error(err.response?.data?.error || err.response?.data?.errors?.[0]?.message || 'Failed to read the file');
+      })
+      .finally(() => {
+        if (!cancelled) setIsBusy(false);
+      });
+    return () => { cancelled = true; };
+  }, [file, payloadKey]);
+
+  const changeFormat = (next) => {
+    setFileFormat(next);
+    setFile(null);
+    setMapping(null);
+    setPreview(null);
+  };
+
+  const onFileChange = async (e) => {
+    const picked = e.target.files[0];
+    if (!picked) return;
+    if (picked.size > MAX_FILE_BYTES) {
+      toast.error('Files can be at most 1.5 MB. Split larger files and import them one by one.');
+      return;
+    }
+    setMapping(null);
+    setFile({ name: picked.name, content: await picked.text() });
+  };
+
+  const changeMapping = (field, header) => {
+    const current = Object.fromEntries(preview.fields.map((f) => [f, preview.mapping[f] || '']));
+    setMapping({ ...current, [field]: header });
+  };
+
+  const onImport = async () => {
+    setIsBusy(true);
+    try {
+      const { data } = await api.post('/tasks/import', { ...payload, dryRun: false });
+      toast.success(`${data.summary.imported} task(s) imported.`);
+      const notImported = data.summary.invalid + data.summary.duplicate;
+      if (notImported > 0) toast(`${notImported} row(s) were not imported.`, { icon: 'ℹ️' });
+      onImported();
+      onClose();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to import tasks');
+      setIsBusy(false);
+    }
+  };
+
+  const formatInfo = FORMATS.find((f) => f.id === fileFormat);
+  const summary = preview?.summary;
+
+  return (
+    <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="modal modal-wide import-modal">
+        <div className="modal-header">
+          <h2 className="modal-title">Import Tasks</h2>
+          <button className="btn-icon" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">1. File type</label>
+          <div className="view-toggle" style={{ width: 'fit-content' }}>
+            {FORMATS.map((f) => (
+              <button key={f.id} type="button" className={fileFormat === f.id ? 'active' : ''} onClick={() => changeFormat(f.id)}>
+                {f.label}
+              </button>
+            ))}
+          </div>
+          <p className="import-hint">{formatInfo.hint}</p>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">2. File</label>
+          {/* Keyed by format so switching clears the chosen file */}
+          <input key={fileFormat} type="file" className="form-input" accept={formatInfo.accept} onChange={onFileChange} />
+        </div>
+
+        {preview?.headers && (
+          <div className="form-group">
+            <label className="form-label">3. Columns</label>
+            <div className="import-mapping">
+              {preview.fields.map((field) => (
+                <label key={field}>
+                  <span>{FIELD_LABELS[field]}</span>
+                  <select
+                    className="filter-select"
+                    value={preview.mapping[field] || ''}
+                    onChange={(e) => changeMapping(field, e.target.value)}
+                  >
+                    <option value="">— Don't import —</option>
+                    {preview.headers.map((header) => <option key={header} value={header}>{header}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {preview && (
+          <div className="form-group">
+            <label className="form-label">{preview.headers ? '4' : '3'}. Preview</label>
+            <p className="import-hint">
+              {summary.ready} ready · {summary.invalid} invalid · {summary.duplicate} duplicate
+              {summary.skipped > 0 && ` · ${summary.skipped} skipped`}
+            </p>
+            <label className="import-option">
+              <input type="checkbox" checked={importDuplicates} onChange={(e) => setImportDuplicates(e.target.checked)} />
+              Import duplicates too (same title and due date as an existing task or an earlier row)
+            </label>
+            <div className="import-preview">
+              <table className="tasks-table">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Task</th>
+                    <th>Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map((row) => (
+                    <tr key={row.row}>
+                      <td>{row.row}</td>
+                      <td>
+                        {row.task ? (
+                          <>
+                            <div className="task-title">{row.task.title || <em>No title</em>}</div>
+                            <div className="import-row-meta">
+                              {['todo', 'in-progress', 'done'].includes(row.task.status) && <StatusBadge status={row.task.status} />}
+                              {['low', 'medium', 'high'].includes(row.task.priority) && <PriorityBadge priority={row.task.priority} />}
+                              {row.task.dueDate && isValid(parseISO(row.task.dueDate)) && (
+                                <span>{format(parseISO(row.task.dueDate), 'MMM d, yyyy')}</span>
+                              )}
+                              {row.task.tags.map((tag) => <span key={tag} className="tag">#{tag}</span>)}
+                              {row.task.checklistItems > 0 && <span>☑ {row.task.checklistItems}</span>}
+                              {row.task.recurrence && <span title={row.task.recurrence}>🔁</span>}
+                            </div>
+                          </>
+                        ) : (
+                          <span className="import-hint">{row.reason}</span>
+                        )}
+                      </td>
+                      <td>
+                        <span className={`import-result ${row.status}`}>{RESULT_LABELS[row.status]}</span>
+                        {row.errors?.map((error) => (
+                          <div key={`${error.field}-${error.message}`} className="form-error">⚠ {error.message}</div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        <div className="modal-footer">
+          <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+          <button
+            type="button"
+            className="btn btn-primary"
+            style={{ width: 'auto', paddingLeft: '24px', paddingRight: '24px' }}
+            disabled={isBusy || !summary || summary.ready === 0}
+            onClick={onImport}
+          >
+            {isBusy ? 'Working...' : `Import ${summary?.ready || 0} task(s)`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportModal;
@@ -1,13 +1,15 @@
 import React from 'react';
 import { NavLink, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { useWorkspace } from '../../context/WorkspaceContext';
 
 const Sidebar = ({ isOpen, onClose }) => {
   const { user, logout } = useAuth();
+  const { workspaces, currentWorkspaceId, selectWorkspace } = useWorkspace();
   const navigate = useNavigate();
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/login');
   };
 
@@ -23,6 +25,21 @@ const Sidebar = ({ isOpen, onClose }) => {
           <span className="sidebar-logo-text">PrimeTrade</span>
         </div>
 
+        <div className="workspace-switcher">
+          <label className="nav-section-label" htmlFor="workspace-select">Workspace</label>
+          <select
+            id="workspace-select"
+            className="filter-select"
+            value={currentWorkspaceId || ''}
+            onChange={(e) => selectWorkspace(e.target.value || null)}
+          >
+            <option value="">Personal</option>
+            {workspaces.map((w) => (
+              <option key={w._id} value={w._id}>{w.name}</option>
+            ))}
+          </select>
+        </div>
+
         <nav className="sidebar-nav">
           <span className="nav-section-label">Main</span>
           <NavLink
@@ -33,6 +50,22 @@ const Sidebar = ({ isOpen, onClose }) => {
             <span className="nav-link-icon">⊞</span>
             Dashboard
           </NavLink>
+          <NavLink
+            to="/workspaces"
+            className={({ isActive }) => `nav-link ${isActive ? 'active' : ''}`}
+            onClick={onClose}
+          >
+            <span className="nav-link-icon">⧉</span>
+            Workspaces
+          </NavLink>
+          <NavLink
+            to="/trash"
+            className={({ isActive }) => `nav-link ${isActive ? 'active' : ''}`}
+            onClick={onClose}
+          >
+            <span className="nav-link-icon">🗑</span>
+            Trash
+          </NavLink>
 
           <span className="nav-section-label" style={{ marginTop: '8px' }}>Account</span>
           <NavLink
@@ -44,6 +77,20 @@ const Sidebar = ({ isOpen, onClose }) => {
             Profile
           </NavLink>
 
+          {user?.role === 'admin' && (
+            <>
+              <span className="nav-section-label" style={{ marginTop: '8px' }}>Admin</span>
+              <NavLink
+                to="/admin"
+                className={({ isActive }) => `nav-link ${isActive ? 'active' : ''}`}
+                onClick={onClose}
+              >
+                <span className="nav-link-icon">⚙</span>
+                Users
+              </NavLink>
+            </>
+          )}
+
           <div style={{ marginTop: 'auto', paddingTop: '16px' }}>
             <button className="nav-link" onClick={handleLogout} style={{ color: 'var(--danger)', width: '100%' }}>
               <span className="nav-link-icon">↩</span>
@@ -0,0 +1,12 @@
+import React from 'react';
+
+export const StatusBadge = ({ status }) => {
+  const map = { todo: 'badge badge-todo', 'in-progress': 'badge badge-in-progress', done: 'badge badge-done' };
+  const label = { todo: 'To Do', 'in-progress': 'In Progress', done: 'Done' };
+  return <span className={map[status]}>{label[status]}</span>;
+};
+
+export const PriorityBadge = ({ priority }) => {
+  const map = { low: 'badge badge-low', medium: 'badge badge-medium', high: 'badge badge-high' };
+  return <span className={map[priority]}>{priority}</span>;
+};
@@ -0,0 +1,221 @@
+import React, { useEffect, useState, useCallback, useRef } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import toast from 'react-hot-toast';
+import api from '../../utils/api';
+import { useAuth } from '../../context/AuthContext';
+import { useWorkspace } from '../../context/WorkspaceContext';
+
+// A mention handle is the part of someone's email before the @ (matches the API)
+const getHandle = (email) => email.split('@')[0].toLowerCase();
+const MENTION_SPLIT = /(@[a-z0-9._+-]+)/gi;
+const PENDING_MENTION = /(^|[^\w.@])@([a-z0-9._+-]*)$/i;
+
+const getInitials = (name) =>
+  name ? name.split(' ').map((n) => n[0]).join('').toUpperCase().slice(0, 2) : '?';
+
+// Comment text with resolved @mentions highlighted
+const CommentBody = ({ comment }) => {
+  const handles = new Set(comment.mentions.map((m) => getHandle(m.email)));
+  return (
+    <p className="comment-body">
+      {comment.body.split(MENTION_SPLIT).map((part, i) =>
+        part.startsWith('@') && handles.has(part.slice(1).replace(/\.+$/, '').toLowerCase())
+          ? <span key={i} className="mention">{part}</span>
+          : part
+      )}
+    </p>
+  );
+};
+
+const TaskComments = ({ taskId, canComment }) => {
+  const { user } = useAuth();
+  const { members } = useWorkspace();
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState('');
+  const [isPosting, setIsPosting] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const inputRef = useRef(null);
+
+  const loadComments = useCallback(async () => {
+    try {
+      const { data } = await api.get(`/tasks/${taskId}/comments`);
+      setComments(data.comments);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load comments');
+    } finally {
+      setLoading(false);
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    loadComments();
+  }, [loadComments]);
+
+  const onDraftChange = (e) => {
+    const { value, selectionStart } = e.target;
+    setDraft(value);
+    const pending = value.slice(0, selectionStart).match(PENDING_MENTION);
+    if (!pending) {
+      setSuggestions([]);
+      return;
+    }
+    const query = pending[2].toLowerCase();
+    setSuggestions(
+      members
+        .filter((m) => getHandle(m.email).startsWith(query) || m.name.toLowerCase().startsWith(query))
+        .slice(0, 5)
+    );
+  };
+
+  const insertMention = (member) => {
+    const caret = inputRef.current.selectionStart;
+    const before = draft.slice(0, caret).replace(/@[a-z0-9._+-]*$/i, `@${getHandle(member.email)} `);
+    setDraft(before + draft.slice(caret));
+    setSuggestions([]);
+    inputRef.current.focus();
+  };
+
+  const onPost = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+    setIsPosting(true);
+    try {
+      const { data } = await api.post(`/tasks/${taskId}/comments`, { body: draft });
+      setComments((prev) => [...prev, data.comment]);
+      setDraft('');
+      setSuggestions([]);
+    } catch (err) {
+      toast.error(err.response?.data?.error || err.response?.data?.errors?.[0]?.message || 'Failed to add comment');
+    } finally {
+      setIsPosting(false);
+    }
+  };
+
+  const onSaveEdit = async () => {
+    try {
+      const { data } = await api.put(`/tasks/${taskId}/comments/${editing.id}`, { body: editing.body });
+      setComments((prev) => prev.map((c) => (c._id === data.comment._id ? data.comment : c)));
+      setEditing(null);
+    } catch (err) {
+      toast.error(err.response?.data?.error || err.response?.data?.errors?.[0]?.message || 'Failed to update comment');
+    }
+  };
+
+  const onDelete = async (id) => {
+    if (!window.confirm('Delete this comment?')) return;
+    try {
+      await api.delete(`/tasks/${taskId}/comments/${id}`);
+      setComments((prev) => prev.filter((c) => c._id !== id));
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to delete comment');
+    }
+  };
+
+  return (
+    <div className="comments-panel">
+      <h3 className="comments-title">Comments {comments.length > 0 && <span>({comments.length})</span>}</h3>
+
+      {loading ? (
+        <div className="spinner" style={{ margin: '16px auto' }} />
+      ) : comments.length === 0 ? (
+        <p className="comments-empty">No comments yet.</p>
+      ) : (
+        <ul className="comment-list">
+          {comments.map((comment) => {
+            const isMine = comment.author?._id === user?._id;
+            return (
+              <li key={comment._id} className="comment">
+                <span className="user-avatar xs">{getInitials(comment.author?.name)}</span>
+                <div className="comment-content">
+                  <div className="comment-meta">
+                    <strong>{comment.author?.name || 'Deleted user'}</strong>
+                    <span>
+                      {formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}
+                      {comment.editedAt && ' · edited'}
+                    </span>
+                  </div>
+                  {editing?.id === comment._id ? (
+                    <>
+                      <textarea
+                        className="form-input"
+                        rows={2}
+                        value={editing.body}
+                        onChange={(e) => setEditing({ ...editing, body: e.target.value })}
+                      />
+                      <div className="comment-actions">
+                        <button type="button" className="btn btn-primary btn-sm" onClick={onSaveEdit}>Save</button>
+                        <button type="button" className="btn btn-secondary btn-sm" onClick={() => setEditing(null)}>
+                          Cancel
+                        </button>
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      <CommentBody comment={comment} />
+                      {isMine && canComment && (
+                        <div className="comment-actions">
+                          <button
+                            type="button"
+                            className="link-button"
+                            onClick={() => setEditing({ id: comment._id, body: comment.body })}
+                          >Edit</button>
+                          <button type="button" className="link-button danger" onClick={() => onDelete(comment._id)}>
+                            Delete
+                          </button>
+                        </div>
+                      )}
+                    </>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {canComment && (
+        <form className="comment-form" onSubmit={onPost}>
+          <div style={{ position: 'relative' }}>
+            <textarea
+              ref={inputRef}
+              className="form-input"
+              rows={2}
+              maxLength={2000}
+              placeholder="Write a comment… use @ to mention someone"
+              value={draft}
+              onChange={onDraftChange}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) onPost(e);
+              }}
+            />
+            {suggestions.length > 0 && (
+              <ul className="mention-suggestions">
+                {suggestions.map((m) => (
+                  <li key={m._id}>
+                    <button type="button" onClick={() => insertMention(m)}>
+                      <strong>@{getHandle(m.email)}</strong> {m.name}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+          <div className="comment-actions">
+            <button
+              type="submit"
+              className="btn btn-primary btn-sm"
+              disabled={isPosting || !draft.trim()}
+              style={{ width: 'auto' }}
+            >
+              {isPosting ? 'Posting...' : 'Comment'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TaskComments;
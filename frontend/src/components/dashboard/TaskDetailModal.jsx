@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import toast from 'react-hot-toast';
+import api from '../../utils/api';
+import { StatusBadge, PriorityBadge } from './TaskBadges';
+import AssigneeAvatars from './AssigneeAvatars';
+import TaskComments from './TaskComments';
+import TaskHistory from './TaskHistory';
+import { describeRule } from '../../utils/recurrence';
+
+// Task details with its checklist (tickable by editors), discussion and history
+const TaskDetailModal = ({ task: initialTask, canEdit, onEdit, onClose }) => {
+  const [task, setTask] = useState(initialTask);
+  // Other tasks in the list that could block this one; loaded when needed
+  const [candidates, setCandidates] = useState(null);
+
+  const toggleItem = async (item) => {
+    try {
+      const { data } = await api.patch(`/tasks/${task._id}/checklist/${item._id}`, { done: !item.done });
+      if (data.task.status === 'done' && task.status !== 'done') toast.success('All items done — task completed!');
+      if (data.nextOccurrence) {
+        toast.success(`Next occurrence due ${format(parseISO(data.nextOccurrence.dueDate), 'MMM d, yyyy')}`);
+      }
+      setTask(data.task);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to update checklist');
+    }
+  };
+
+  const skipOccurrence = async () => {
+    try {
+      const { data } = await api.post(`/tasks/${task._id}/skip`);
+      setTask(data.task);
+      toast.success(`Skipped — now due ${format(parseISO(data.task.dueDate), 'MMM d, yyyy')}`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to skip occurrence');
+    }
+  };
+
+  const loadCandidates = async () => {
+    try {
+      const { data } = await api.get('/tasks', { params: { limit: 100, sortBy: 'title', order: 'asc' } });
+      setCandidates(data.tasks);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load tasks');
+    }
+  };
+
+  const addBlocker = async (taskId) => {
+    if (!taskId) return;
+    try {
+      const { data } = await api.post(`/tasks/${task._id}/blocked-by`, { taskId });
+      setTask(data.task);
+      setCandidates(null);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to link tasks');
+    }
+  };
+
+  const removeBlocker = async (blockerId) => {
+    try {
+      const { data } = await api.delete(`/tasks/${task._id}/blocked-by/${blockerId}`);
+      setTask(data.task);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to unlink tasks');
+    }
+  };
+
+  const blockerIds = (task.blockedBy || []).map((b) => b._id);
+
+  return (
+    <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="modal modal-wide">
+        <div className="modal-header">
+          <h2 className="modal-title">{task.title}</h2>
+          <button className="btn-icon" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <div className="task-detail-meta">
+          <StatusBadge status={task.status} />
+          <PriorityBadge priority={task.priority} />
+          {task.dueDate && <span className="task-detail-due">Due {format(parseISO(task.dueDate), 'MMM d, yyyy')}</span>}
+          <AssigneeAvatars assignees={task.assignees} />
+        </div>
+
+        {task.recurrence && (
+          <div className="task-detail-recurrence">
+            <span>🔁 {describeRule(task.recurrence.rule)} · occurrence {task.recurrence.occurrence}</span>
+            {canEdit && task.status !== 'done' && (
+              <button type="button" className="link-button" onClick={skipOccurrence}>Skip this occurrence</button>
+            )}
+          </div>
+        )}
+
+        {task.description && <p className="task-detail-description">{task.description}</p>}
+
+        {task.tags?.length > 0 && (
+          <div className="tags-container" style={{ marginBottom: '8px' }}>
+            {task.tags.map((tag) => <span key={tag} className="tag">#{tag}</span>)}
+          </div>
+        )}
+
+        {task.checklist?.length > 0 && (
+          <div className="form-group">
+            <label className="form-label">
+              Checklist ({task.checklistProgress.done}/{task.checklistProgress.total})
+            </label>
+            <ul className="checklist">
+              {task.checklist.map((item) => (
+                <li key={item._id} className={`checklist-item ${item.done ? 'done' : ''}`}>
+                  <input type="checkbox" checked={item.done} disabled={!canEdit} onChange={() => toggleItem(item)} />
+                  <span className="checklist-label">{item.text}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {(task.blockedBy?.length > 0 || canEdit) && (
+          <div className="form-group">
+            <label className="form-label">Blocked by {task.isBlocked && <span className="blocked-indicator">🔒 Blocked</span>}</label>
+            {task.blockedBy?.length > 0 && (
+              <ul className="dependency-list">
+                {task.blockedBy.map((blocker) => (
+                  <li key={blocker._id} className={`dependency-item ${blocker.status === 'done' ? 'done' : ''}`}>
+                    <span className="dependency-title">
+                      {blocker.title}
+                      {blocker.deletedAt && <span className="dependency-trashed"> (in trash)</span>}
+                    </span>
+                    <StatusBadge status={blocker.status} />
+                    {canEdit && (
+                      <button type="button" className="tag-remove" onClick={() => removeBlocker(blocker._id)} title="Remove">
+                        ×
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {canEdit && (candidates ? (
+              <select className="form-input filter-select" defaultValue="" onChange={(e) => addBlocker(e.target.value)}>
+                <option value="">Choose a task that must be done first...</option>
+                {candidates
+                  .filter((c) => c._id !== task._id && !blockerIds.includes(c._id))
+                  .map((c) => <option key={c._id} value={c._id}>{c.title}</option>)}
+              </select>
+            ) : (
+              <button type="button" className="link-button" onClick={loadCandidates}>+ Add blocking task</button>
+            ))}
+          </div>
+        )}
+
+        {canEdit && (
+          <button className="btn btn-secondary btn-sm" style={{ width: 'auto' }} onClick={() => onEdit(task)}>
+            ✏ Edit Task
+          </button>
+        )}
+
+        <TaskComments taskId={task._id} canComment={canEdit} />
+        <TaskHistory task={task} />
+      </div>
+    </div>
+  );
+};
+
+export default TaskDetailModal;
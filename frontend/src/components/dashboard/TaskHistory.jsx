@@ -0,0 +1,139 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { format, formatDistanceToNow, parseISO } from 'date-fns';
+import toast from 'react-hot-toast';
+import api from '../../utils/api';
+import { useWorkspace } from '../../context/WorkspaceContext';
+import { describeRule } from '../../utils/recurrence';
+
+const PAGE_SIZE = 20;
+
+const FIELD_LABELS = {
+  title: 'title',
+  description: 'description',
+  status: 'status',
+  priority: 'priority',
+  dueDate: 'due date',
+  tags: 'tags',
+  assignees: 'assignees',
+  blockedBy: 'blocking tasks',
+  checklist: 'checklist',
+  completeOnChecklistDone: 'auto-complete',
+  recurrence: 'repeat',
+};
+
+const ACTION_LABELS = { created: 'created the task', updated: 'updated the task', deleted: 'deleted the task' };
+
+const getInitials = (name) =>
+  name ? name.split(' ').map((n) => n[0]).join('').toUpperCase().slice(0, 2) : '?';
+
+// One side of a change as short readable text; ids are shown as names where known
+const formatValue = (field, value, { members, blockers }) => {
+  if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) return 'none';
+
+  switch (field) {
+    case 'dueDate':
+      return format(parseISO(value), 'MMM d, yyyy');
+    case 'tags':
+      return value.map((tag) => `#${tag}`).join(' ');
+    case 'assignees':
+      return value.map((id) => members.find((m) => m._id === id)?.name || 'someone').join(', ');
+    case 'blockedBy':
+      return value.map((id) => blockers.find((b) => b._id === id)?.title || 'another task').join(', ');
+    case 'checklist':
+      return `${value.filter((item) => item.done).length}/${value.length} done`;
+    case 'completeOnChecklistDone':
+      return value ? 'on' : 'off';
+    case 'recurrence':
+      return `${describeRule(value.rule)} (occurrence ${value.occurrence})`;
+    default:
+      return String(value);
+  }
+};
+
+// Who changed what and when, newest first; loaded when first opened
+const TaskHistory = ({ task }) => {
+  const { members } = useWorkspace();
+  const [open, setOpen] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadPage = useCallback(async (page) => {
+    setLoading(true);
+    try {
+      const { data } = await api.get(`/tasks/${task._id}/history`, { params: { page, limit: PAGE_SIZE } });
+      setHistory((prev) => (page === 1 ? data.history : [...prev, ...data.history]));
+      setPagination(data.pagination);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  }, [task._id]);
+
+  // Reload from the top whenever the task changes while the panel is open
+  useEffect(() => {
+    if (open) loadPage(1);
+  }, [open, task.updatedAt, loadPage]);
+
+  const context = { members, blockers: task.blockedBy || [] };
+
+  return (
+    <div className="comments-panel">
+      <h3 className="comments-title">
+        History{' '}
+        <button type="button" className="link-button" onClick={() => setOpen(!open)}>
+          {open ? 'Hide' : 'Show'}
+        </button>
+      </h3>
+
+      {open && (history.length === 0 ? (
+        loading ? <div className="spinner" style={{ margin: '16px auto' }} /> : <p className="comments-empty">No history yet.</p>
+      ) : (
+        <>
+          <ul className="history-list">
+            {history.map((entry) => (
+              <li key={entry._id} className="history-entry">
+                <span className="user-avatar xs">{entry.actor ? getInitials(entry.actor.name) : '⚙'}</span>
+                <div className="comment-content">
+                  <div className="comment-meta">
+                    <strong>{entry.actor?.name || 'System'}</strong> {ACTION_LABELS[entry.action]}
+                    <span title={format(parseISO(entry.createdAt), 'MMM d, yyyy HH:mm')}>
+                      {formatDistanceToNow(parseISO(entry.createdAt), { addSuffix: true })}
+                    </span>
+                  </div>
+                  {entry.action === 'updated' && (
+                    <ul className="history-changes">
+                      {entry.changes.map((change) => (change.field === 'deletedAt' ? (
+                        <li key={change.field}>{change.to ? 'Moved to trash' : 'Restored from trash'}</li>
+                      ) : (
+                        <li key={change.field}>
+                          <span className="history-field">{FIELD_LABELS[change.field] || change.field}</span>{' '}
+                          <span className="history-from">{formatValue(change.field, change.from, context)}</span>
+                          {' → '}
+                          <span className="history-to">{formatValue(change.field, change.to, context)}</span>
+                        </li>
+                      )))}
+                    </ul>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+          {pagination && pagination.page < pagination.pages && (
+            <button
+              type="button"
+              className="link-button"
+              disabled={loading}
+              onClick={() => loadPage(pagination.page + 1)}
+            >
+              {loading ? 'Loading…' : 'Show older'}
+            </button>
+          )}
+        </>
+      ))}
+    </div>
+  );
+};
+
+export default TaskHistory;
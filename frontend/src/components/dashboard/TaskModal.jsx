@@ -3,6 +3,8 @@ import { useForm } from 'react-hook-form';
 import { yupResolver } from '@hookform/resolvers/yup';
 import * as yup from 'yup';
 import { format } from 'date-fns';
+import { useWorkspace } from '../../context/WorkspaceContext';
+import { WEEKDAYS, parseRule, buildRule } from '../../utils/recurrence';
 
 const schema = yup.object({
   title: yup.string().min(1).max(100, 'Max 100 characters').required('Title is required'),
@@ -10,18 +12,32 @@ const schema = yup.object({
   status: yup.string().oneOf(['todo', 'in-progress', 'done']).required(),
   priority: yup.string().oneOf(['low', 'medium', 'high']).required(),
   dueDate: yup.string().optional(),
+  completeOnChecklistDone: yup.boolean(),
 });
 
+const getAssigneeIds = (task) => (task?.assignees || []).map((a) => a._id);
+
+const MAX_CHECKLIST_ITEMS = 50;
+
+const getInitials = (name) =>
+  name ? name.split(' ').map((n) => n[0]).join('').toUpperCase().slice(0, 2) : '?';
+
 const TaskModal = ({ task, onClose, onSave, isLoading }) => {
   const isEdit = !!task?._id;
+  const { members } = useWorkspace();
   const [tagInput, setTagInput] = useState('');
   const [tags, setTags] = useState(task?.tags || []);
+  const [assignees, setAssignees] = useState(getAssigneeIds(task));
+  const [checklist, setChecklist] = useState(task?.checklist || []);
+  const [checklistInput, setChecklistInput] = useState('');
+  const [repeat, setRepeat] = useState(parseRule(task?.recurrence?.rule));
 
   const {
     register,
     handleSubmit,
     formState: { errors },
     reset,
+    setError,
   } = useForm({
     resolver: yupResolver(schema),
     defaultValues: {
@@ -30,6 +46,7 @@ const TaskModal = ({ task, onClose, onSave, isLoading }) => {
       status: task?.status || 'todo',
       priority: task?.priority || 'medium',
       dueDate: task?.dueDate ? format(new Date(task.dueDate), 'yyyy-MM-dd') : '',
+      completeOnChecklistDone: task?.completeOnChecklistDone || false,
     },
   });
 
@@ -40,8 +57,12 @@ const TaskModal = ({ task, onClose, onSave, isLoading }) => {
       status: task?.status || 'todo',
       priority: task?.priority || 'medium',
       dueDate: task?.dueDate ? format(new Date(task.dueDate), 'yyyy-MM-dd') : '',
+      completeOnChecklistDone: task?.completeOnChecklistDone || false,
     });
     setTags(task?.tags || []);
+    setAssignees(getAssigneeIds(task));
+    setChecklist(task?.checklist || []);
+    setRepeat(parseRule(task?.recurrence?.rule));
   }, [task, reset]);
 
   const addTag = (e) => {
@@ -57,8 +78,52 @@ const TaskModal = ({ task, onClose, onSave, isLoading }) => {
 
   const removeTag = (tag) => setTags(tags.filter((t) => t !== tag));
 
+  const toggleAssignee = (id) =>
+    setAssignees(assignees.includes(id) ? assignees.filter((a) => a !== id) : [...assignees, id]);
+
+  const addChecklistItem = (e) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    const text = checklistInput.trim();
+    if (text && checklist.length < MAX_CHECKLIST_ITEMS) {
+      setChecklist([...checklist, { text, done: false }]);
+    }
+    setChecklistInput('');
+  };
+
+  const updateChecklistItem = (index, changes) =>
+    setChecklist(checklist.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+
+  const moveChecklistItem = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= checklist.length) return;
+    const items = [...checklist];
+    [items[index], items[target]] = [items[target], items[index]];
+    setChecklist(items);
+  };
+
+  const removeChecklistItem = (index) => setChecklist(checklist.filter((_, i) => i !== index));
+
+  const updateRepeat = (changes) => setRepeat({ ...repeat, ...changes });
+
+  const toggleWeekday = (day) =>
+    updateRepeat({ byDay: repeat.byDay.includes(day) ? repeat.byDay.filter((d) => d !== day) : [...repeat.byDay, day] });
+
   const onSubmit = (data) => {
-    const payload = { ...data, tags };
+    const rule = buildRule(repeat);
+    if (rule && !data.dueDate) {
+      setError('dueDate', { message: 'Recurring tasks need a due date' });
+      return;
+    }
+    const payload = {
+      ...data,
+      tags,
+      assignees,
+      checklist: checklist
+        .filter((item) => item.text.trim())
+        .map(({ _id, text, done }) => ({ ...(_id && { _id }), text: text.trim(), done })),
+      recurrence: rule ? { rule } : null,
+    };
     if (!payload.dueDate) delete payload.dueDate;
     onSave(payload);
   };
@@ -121,6 +186,101 @@ const TaskModal = ({ task, onClose, onSave, isLoading }) => {
               className="form-input"
               style={{ colorScheme: 'dark' }}
             />
+            {errors.dueDate && <span className="form-error">⚠ {errors.dueDate.message}</span>}
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Repeat</label>
+            <div className="form-row">
+              <select
+                className="form-input filter-select"
+                value={repeat.freq}
+                onChange={(e) => updateRepeat({ freq: e.target.value })}
+              >
+                <option value="">Does not repeat</option>
+                <option value="DAILY">Daily</option>
+                <option value="WEEKLY">Weekly</option>
+                <option value="MONTHLY">Monthly</option>
+                <option value="YEARLY">Yearly</option>
+                <option value="CUSTOM">Custom (RRULE)</option>
+              </select>
+              {repeat.freq && repeat.freq !== 'CUSTOM' && (
+                <label className="repeat-interval">
+                  Every
+                  <input
+                    type="number"
+                    className="form-input"
+                    min={1}
+                    max={365}
+                    value={repeat.interval}
+                    onChange={(e) => updateRepeat({ interval: e.target.value })}
+                  />
+                  {{ DAILY: 'day(s)', WEEKLY: 'week(s)', MONTHLY: 'month(s)', YEARLY: 'year(s)' }[repeat.freq]}
+                </label>
+              )}
+            </div>
+
+            {repeat.freq === 'WEEKLY' && (
+              <div className="assignee-picker" style={{ marginTop: '8px' }}>
+                {WEEKDAYS.map((day) => (
+                  <button
+                    key={day.id}
+                    type="button"
+                    className={`assignee-option weekday-option ${repeat.byDay.includes(day.id) ? 'selected' : ''}`}
+                    onClick={() => toggleWeekday(day.id)}
+                  >
+                    {day.label}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {repeat.freq === 'CUSTOM' && (
+              <input
+                type="text"
+                className="form-input"
+                style={{ marginTop: '8px', fontFamily: 'Space Mono, monospace', fontSize: '12px' }}
+                placeholder="FREQ=MONTHLY;BYMONTHDAY=1,15;COUNT=12"
+                value={repeat.custom}
+                onChange={(e) => updateRepeat({ custom: e.target.value })}
+              />
+            )}
+
+            {repeat.freq && repeat.freq !== 'CUSTOM' && (
+              <div className="form-row" style={{ marginTop: '8px' }}>
+                <select
+                  className="form-input filter-select"
+                  value={repeat.ends}
+                  onChange={(e) => updateRepeat({ ends: e.target.value })}
+                >
+                  <option value="never">Never ends</option>
+                  <option value="count">Ends after...</option>
+                  <option value="until">Ends on...</option>
+                </select>
+                {repeat.ends === 'count' && (
+                  <label className="repeat-interval">
+                    <input
+                      type="number"
+                      className="form-input"
+                      min={1}
+                      max={1000}
+                      value={repeat.count}
+                      onChange={(e) => updateRepeat({ count: e.target.value })}
+                    />
+                    occurrences
+                  </label>
+                )}
+                {repeat.ends === 'until' && (
+                  <input
+                    type="date"
+                    className="form-input"
+                    style={{ colorScheme: 'dark' }}
+                    value={repeat.until}
+                    onChange={(e) => updateRepeat({ until: e.target.value })}
+                  />
+                )}
+              </div>
+            )}
           </div>
 
           <div className="form-group">
@@ -145,6 +305,72 @@ const TaskModal = ({ task, onClose, onSave, isLoading }) => {
             )}
           </div>
 
+          <div className="form-group">
+            <label className="form-label">
+              Checklist {checklist.length > 0 && `(${checklist.filter((i) => i.done).length}/${checklist.length})`}
+            </label>
+            {checklist.length > 0 && (
+              <ul className="checklist">
+                {checklist.map((item, index) => (
+                  <li key={item._id || index} className="checklist-item">
+                    <input
+                      type="checkbox"
+                      checked={item.done}
+                      onChange={(e) => updateChecklistItem(index, { done: e.target.checked })}
+                    />
+                    <input
+                      type="text"
+                      className="checklist-text"
+                      value={item.text}
+                      maxLength={200}
+                      onChange={(e) => updateChecklistItem(index, { text: e.target.value })}
+                    />
+                    <button type="button" className="link-button" onClick={() => moveChecklistItem(index, -1)}
+                      disabled={index === 0} title="Move up">↑</button>
+                    <button type="button" className="link-button" onClick={() => moveChecklistItem(index, 1)}
+                      disabled={index === checklist.length - 1} title="Move down">↓</button>
+                    <button type="button" className="tag-remove" onClick={() => removeChecklistItem(index)}
+                      title="Remove">×</button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <input
+              type="text"
+              className="form-input"
+              placeholder="Add an item and press Enter..."
+              maxLength={200}
+              value={checklistInput}
+              onChange={(e) => setChecklistInput(e.target.value)}
+              onKeyDown={addChecklistItem}
+              disabled={checklist.length >= MAX_CHECKLIST_ITEMS}
+            />
+            <label className="checkbox-label">
+              <input type="checkbox" {...register('completeOnChecklistDone')} />
+              Mark the task done when every item is checked
+            </label>
+          </div>
+
+          {members.length > 0 && (
+            <div className="form-group">
+              <label className="form-label">Assignees</label>
+              <div className="assignee-picker">
+                {members.map((member) => (
+                  <button
+                    key={member._id}
+                    type="button"
+                    className={`assignee-option ${assignees.includes(member._id) ? 'selected' : ''}`}
+                    onClick={() => toggleAssignee(member._id)}
+                    title={member.email}
+                  >
+                    <span className="user-avatar xs">{getInitials(member.name)}</span>
+                    {member.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
           <div className="modal-footer">
             <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
             <button type="submit" className="btn btn-primary" disabled={isLoading}
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import api from '../../utils/api';
+import { useAuth } from '../../context/AuthContext';
+import DeletionPendingBanner from '../auth/DeletionPendingBanner';
+
+// Download a copy of the account's data, or close the account
+const AccountSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [isExporting, setIsExporting] = useState(false);
+  const [confirmation, setConfirmation] = useState('');
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  const onExport = async () => {
+    setIsExporting(true);
+    try {
+      const { data } = await api.get('/users/me/export', { responseType: 'blob' });
+      const url = URL.createObjectURL(data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `primetrade-export-${format(new Date(), 'yyyy-MM-dd')}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch {
+      toast.error('Failed to export your data');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const onDelete = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Delete your account? You can cancel until the grace period ends.')) return;
+    setIsDeleting(true);
+    try {
+      // Accounts with a password confirm with it; SSO-only accounts type their email
+      const { data } = await api.delete('/users/me', { data: { password: confirmation, confirmEmail: confirmation } });
+      updateUser({ ...user, deletionScheduledFor: data.deletionScheduledFor, calendarFeedCreatedAt: null });
+      setConfirmation('');
+      toast.success(data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to delete account');
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  return (
+    <>
+      <div className="card" style={{ marginBottom: '20px' }}>
+        <h3 style={{ fontFamily: 'Syne', fontSize: '18px', fontWeight: 700, marginBottom: '8px' }}>
+          Your Data
+        </h3>
+        <p style={{ fontSize: '13px', color: 'var(--text-muted)', marginBottom: '20px' }}>
+          Download everything we store about you as a JSON file: your profile, the tasks you created, your comments
+          and task history, workspaces, sessions, API keys and security events.
+        </p>
+        <button type="button" className="btn btn-secondary btn-sm" style={{ width: 'auto' }} disabled={isExporting} onClick={onExport}>
+          {isExporting ? 'Preparing...' : '⬇ Download my data'}
+        </button>
+      </div>
+
+      <div className="card">
+        <h3 style={{ fontFamily: 'Syne', fontSize: '18px', fontWeight: 700, marginBottom: '8px' }}>
+          Delete Account
+        </h3>
+        {user?.deletionScheduledFor ? (
+          <DeletionPendingBanner />
+        ) : (
+          <form onSubmit={onDelete}>
+            <p style={{ fontSize: '13px', color: 'var(--text-muted)', marginBottom: '20px' }}>
+              Your account, personal tasks and comments are deleted after a grace period, during which you can sign in
+              and cancel. Workspaces you own pass to another member. Other devices are signed out and your API keys
+              and calendar feed stop working straight away.
+            </p>
+            <div className="form-group">
+              <label className="form-label">Password (or your email address if you only sign in with SSO)</label>
+              <input
+                type="password"
+                className="form-input"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+                autoComplete="current-password"
+              />
+            </div>
+            <button type="submit" className="btn btn-danger btn-sm" style={{ width: 'auto' }} disabled={isDeleting || !confirmation}>
+              {isDeleting ? 'Deleting...' : 'Delete my account'}
+            </button>
+          </form>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default AccountSettings;
@@ -0,0 +1,176 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { format, formatDistanceToNow } from 'date-fns';
+import toast from 'react-hot-toast';
+import api from '../../utils/api';
+
+const SCOPES = [
+  { id: 'tasks:read', label: 'Read tasks' },
+  { id: 'tasks:write', label: 'Create, update & delete tasks' },
+];
+
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'Never' },
+];
+
+const ApiKeySettings = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(['tasks:read']);
+  const [expiresInDays, setExpiresInDays] = useState('90');
+  const [newKey, setNewKey] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+
+  const loadKeys = useCallback(async () => {
+    try {
+      const { data } = await api.get('/users/api-keys');
+      setApiKeys(data.apiKeys);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load API keys');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadKeys();
+  }, [loadKeys]);
+
+  const toggleScope = (scope) => {
+    setScopes((prev) => (prev.includes(scope) ? prev.filter((s) => s !== scope) : [...prev, scope]));
+  };
+
+  const onCreate = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    try {
+      const { data } = await api.post('/users/api-keys', {
+        name,
+        scopes,
+        expiresInDays: expiresInDays ? Number(expiresInDays) : null,
+      });
+      setNewKey(data.key);
+      setName('');
+      loadKeys();
+    } catch (err) {
+      toast.error(err.response?.data?.error || err.response?.data?.errors?.[0]?.message || 'Failed to create API key');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const onRevoke = async (id) => {
+    try {
+      await api.delete(`/users/api-keys/${id}`);
+      toast.success('API key revoked');
+      setApiKeys((prev) => prev.filter((k) => k._id !== id));
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to revoke API key');
+    }
+  };
+
+  return (
+    <div className="card">
+      <h3 style={{ fontFamily: 'Syne', fontSize: '18px', fontWeight: 700, marginBottom: '8px' }}>
+        API Keys
+      </h3>
+      <p style={{ fontSize: '13px', color: 'var(--text-muted)', marginBottom: '20px' }}>
+        Use a key from scripts or CI by sending it in the <code>X-API-Key</code> header. Keys only work on the tasks API.
+      </p>
+
+      {newKey && (
+        <div className="notice-banner" style={{ flexDirection: 'column', alignItems: 'stretch' }}>
+          <span>Copy your new key now — it won't be shown again.</span>
+          <code style={{ fontFamily: 'Space Mono', fontSize: '12px', wordBreak: 'break-all', color: 'var(--accent-light)' }}>
+            {newKey}
+          </code>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm"
+              onClick={() => navigator.clipboard?.writeText(newKey).then(() => toast.success('Copied!'))}
+            >
+              Copy key
+            </button>
+            <button type="button" className="btn btn-ghost btn-sm" onClick={() => setNewKey(null)}>
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={onCreate} style={{ marginBottom: '24px' }}>
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label">Name</label>
+            <input
+              className="form-input"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. CI pipeline"
+              maxLength={50}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Expires</label>
+            <select className="form-input filter-select" value={expiresInDays} onChange={(e) => setExpiresInDays(e.target.value)}>
+              {EXPIRY_OPTIONS.map((opt) => (
+                <option key={opt.label} value={opt.value}>{opt.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="form-group">
+          <label className="form-label">Scopes</label>
+          {SCOPES.map((scope) => (
+            <label key={scope.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', marginBottom: '6px', cursor: 'pointer' }}>
+              <input type="checkbox" checked={scopes.includes(scope.id)} onChange={() => toggleScope(scope.id)} />
+              <code>{scope.id}</code>
+              <span style={{ color: 'var(--text-muted)' }}>— {scope.label}</span>
+            </label>
+          ))}
+        </div>
+        <button
+          type="submit"
+          className="btn btn-primary btn-sm"
+          style={{ width: 'auto' }}
+          disabled={isCreating || !name.trim() || scopes.length === 0}
+        >
+          + Create key
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="spinner" style={{ margin: '0 auto' }} />
+      ) : apiKeys.length === 0 ? (
+        <p style={{ fontSize: '13px', color: 'var(--text-muted)' }}>No API keys yet.</p>
+      ) : (
+        <div className="settings-list">
+          {apiKeys.map((key) => (
+            <div key={key._id} className="settings-item">
+              <div>
+                <div className="settings-item-title">
+                  {key.name}
+                  {key.scopes.map((scope) => <span key={scope} className="settings-item-badge">{scope}</span>)}
+                </div>
+                <div className="settings-item-meta">
+                  <code>{key.prefix}…</code>
+                  {' '}· {key.lastUsedAt ? `Used ${formatDistanceToNow(new Date(key.lastUsedAt), { addSuffix: true })}` : 'Never used'}
+                  {' '}· {key.expiresAt ? `Expires ${format(new Date(key.expiresAt), 'MMM d, yyyy')}` : 'No expiry'}
+                </div>
+              </div>
+              <button className="btn btn-danger btn-sm" onClick={() => onRevoke(key._id)}>
+                Revoke
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApiKeySettings;
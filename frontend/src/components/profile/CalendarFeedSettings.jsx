@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import api from '../../utils/api';
+import { useAuth } from '../../context/AuthContext';
+import { useWorkspace } from '../../context/WorkspaceContext';
+
+// The feed URL plus the options picked below as query parameters
+const buildFeedUrl = (baseUrl, { hideDone, asTodos, tags, workspace }) => {
+  const params = new URLSearchParams();
+  if (hideDone) params.set('status', 'todo,in-progress');
+  if (tags.trim()) params.set('tags', tags.split(',').map((t) => t.trim()).filter(Boolean).join(','));
+  if (workspace) params.set('workspace', workspace);
+  if (asTodos) params.set('type', 'todo');
+  const query = params.toString();
+  return query ? `${baseUrl}?${query}` : baseUrl;
+};
+
+const CalendarFeedSettings = () => {
+  const { user, updateUser } = useAuth();
+  const { workspaces } = useWorkspace();
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [options, setOptions] = useState({ hideDone: true, asTodos: false, tags: '', workspace: '' });
+
+  const setOption = (key, value) => setOptions((prev) => ({ ...prev, [key]: value }));
+
+  const onGenerate = async () => {
+    if (user.calendarFeedCreatedAt && !window.confirm('The current feed URL will stop working. Continue?')) return;
+    setIsBusy(true);
+    try {
+      const { data } = await api.post('/users/calendar-feed');
+      setFeedUrl(data.url);
+      updateUser({ ...user, calendarFeedCreatedAt: data.calendarFeedCreatedAt });
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to create calendar feed');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const onTurnOff = async () => {
+    setIsBusy(true);
+    try {
+      await api.delete('/users/calendar-feed');
+      setFeedUrl(null);
+      updateUser({ ...user, calendarFeedCreatedAt: null });
+      toast.success('Calendar feed turned off');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to turn off calendar feed');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const url = feedUrl && buildFeedUrl(feedUrl, options);
+
+  return (
+    <div className="card">
+      <h3 style={{ fontFamily: 'Syne', fontSize: '18px', fontWeight: 700, marginBottom: '8px' }}>
+        Calendar Feed
+      </h3>
+      <p style={{ fontSize: '13px', color: 'var(--text-muted)', marginBottom: '20px' }}>
+        Subscribe to your due dates from Google Calendar, Outlook or Apple Calendar. The feed has your personal tasks
+        and workspace tasks assigned to you. Anyone with the URL can read it, so regenerate it if it leaks.
+      </p>
+
+      {feedUrl && (
+        <div className="notice-banner" style={{ flexDirection: 'column', alignItems: 'stretch' }}>
+          <span>Copy your feed URL now — it won't be shown again. Options below change the URL.</span>
+          <code style={{ fontFamily: 'Space Mono', fontSize: '12px', wordBreak: 'break-all', color: 'var(--accent-light)' }}>
+            {url}
+          </code>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm"
+              onClick={() => navigator.clipboard?.writeText(url).then(() => toast.success('Copied!'))}
+            >
+              Copy URL
+            </button>
+            <button type="button" className="btn btn-ghost btn-sm" onClick={() => setFeedUrl(null)}>
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      {feedUrl && (
+        <div style={{ marginBottom: '20px' }}>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Tasks from</label>
+              <select
+                className="form-input filter-select"
+                value={options.workspace}
+                onChange={(e) => setOption('workspace', e.target.value)}
+              >
+                <option value="">Personal + assigned to me</option>
+                {workspaces.map((w) => <option key={w._id} value={w._id}>All of {w.name}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label">Only these tags</label>
+              <input
+                className="form-input"
+                value={options.tags}
+                onChange={(e) => setOption('tags', e.target.value)}
+                placeholder="e.g. work, urgent"
+              />
+            </div>
+          </div>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', marginBottom: '6px', cursor: 'pointer' }}>
+            <input type="checkbox" checked={options.hideDone} onChange={(e) => setOption('hideDone', e.target.checked)} />
+            Leave out completed tasks
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', cursor: 'pointer' }}>
+            <input type="checkbox" checked={options.asTodos} onChange={(e) => setOption('asTodos', e.target.checked)} />
+            Publish as to-dos instead of all-day events
+            <span style={{ color: 'var(--text-muted)' }}>(for apps with task lists)</span>
+          </label>
+        </div>
+      )}
+
+      {user?.calendarFeedCreatedAt && (
+        <p style={{ fontSize: '13px', color: 'var(--text-secondary)', marginBottom: '16px' }}>
+          Feed active since {format(new Date(user.calendarFeedCreatedAt), 'MMM d, yyyy')}.
+        </p>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button type="button" className="btn btn-primary btn-sm" style={{ width: 'auto' }} disabled={isBusy} onClick={onGenerate}>
+          {user?.calendarFeedCreatedAt ? 'Regenerate URL' : 'Create feed URL'}
+        </button>
+        {user?.calendarFeedCreatedAt && (
+          <button type="button" className="btn btn-danger btn-sm" style={{ width: 'auto' }} disabled={isBusy} onClick={onTurnOff}>
+            Turn off
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CalendarFeedSettings;
@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import api from '../../utils/api';
+
+const RecoveryCodes = ({ codes, onDone }) => (
+  <div>
+    <p style={{ fontSize: '13px', color: 'var(--text-secondary)', marginBottom: '12px' }}>
+      Save these recovery codes somewhere safe. Each one can be used once if you lose your authenticator.
+      They won't be shown again.
+    </p>
+    <div className="recovery-codes">
+      {codes.map((code) => <code key={code}>{code}</code>)}
+    </div>
+    <div style={{ display: 'flex', gap: '8px', marginTop: '16px' }}>
+      <button
+        type="button"
+        className="btn btn-secondary btn-sm"
+        onClick={() => navigator.clipboard?.writeText(codes.join('\n')).then(() => toast.success('Copied!'))}
+      >
+        Copy codes
+      </button>
+      <button type="button" className="btn btn-primary btn-sm" style={{ width: 'auto' }} onClick={onDone}>
+        I've saved them
+      </button>
+    </div>
+  </div>
+);
+
+const TwoFactorSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [showDisable, setShowDisable] = useState(false);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const run = async (action) => {
+    setIsBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      toast.error(err.response?.data?.error || err.response?.data?.errors?.[0]?.message || 'Something went wrong');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const startSetup = () => run(async () => {
+    const { data } = await api.post('/auth/2fa/setup');
+    setSetup(data);
+    setCode('');
+  });
+
+  const confirmSetup = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const { data } = await api.post('/auth/2fa/enable', { code });
+      updateUser(data.user);
+      setRecoveryCodes(data.recoveryCodes);
+      setSetup(null);
+      setCode('');
+      toast.success(data.message);
+    });
+  };
+
+  const regenerateCodes = () => run(async () => {
+    const { data } = await api.post('/auth/2fa/recovery-codes', { code });
+    setRecoveryCodes(data.recoveryCodes);
+    setCode('');
+  });
+
+  const disable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const { data } = await api.post('/auth/2fa/disable', { password, code });
+      updateUser(data.user);
+      setShowDisable(false);
+      setPassword('');
+      setCode('');
+      toast.success(data.message);
+    });
+  };
+
+  return (
+    <div className="card" style={{ marginTop: '20px' }}>
+      <h3 style={{ fontFamily: 'Syne', fontSize: '18px', fontWeight: 700, marginBottom: '8px', display: 'flex', alignItems: 'center', gap: '10px' }}>
+        Two-Factor Authentication
+        {user?.twoFactorEnabled && <span className="settings-item-badge">Enabled</span>}
+      </h3>
+      <p style={{ fontSize: '13px', color: 'var(--text-muted)', marginBottom: '20px' }}>
+        Require a code from an authenticator app (Google Authenticator, 1Password, Authy...) when signing in.
+      </p>
+
+      {recoveryCodes ? (
+        <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      ) : setup ? (
+        <form onSubmit={confirmSetup}>
+          <div style={{ display: 'flex', gap: '20px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '20px' }}>
+            <img src={setup.qrCode} alt="Authenticator QR code" width={160} height={160} style={{ borderRadius: '10px', background: '#fff' }} />
+            <div style={{ flex: 1, minWidth: '200px', fontSize: '13px', color: 'var(--text-secondary)' }}>
+              <p style={{ marginBottom: '8px' }}>Scan the QR code with your app, or enter this key manually:</p>
+              <code style={{ fontFamily: 'Space Mono', fontSize: '12px', wordBreak: 'break-all', color: 'var(--accent-light)' }}>
+                {setup.secret}
+              </code>
+            </div>
+          </div>
+          <div className="form-group">
+            <label className="form-label">Code from your app</label>
+            <input
+              className="form-input"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+            />
+          </div>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => setSetup(null)}>Cancel</button>
+            <button type="submit" className="btn btn-primary btn-sm" style={{ width: 'auto' }} disabled={isBusy || !code.trim()}>
+              ✓ Enable 2FA
+            </button>
+          </div>
+        </form>
+      ) : user?.twoFactorEnabled ? (
+        showDisable ? (
+          <form onSubmit={disable}>
+            <div className="form-row">
+              <div className="form-group">
+                <label className="form-label">Password</label>
+                <input
+                  type="password"
+                  className="form-input"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  autoComplete="current-password"
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Authentication code</label>
+                <input
+                  className="form-input"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="123456"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                />
+              </div>
+            </div>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button type="button" className="btn btn-secondary btn-sm" onClick={() => setShowDisable(false)}>Cancel</button>
+              <button type="submit" className="btn btn-danger btn-sm" disabled={isBusy || !password || !code.trim()}>
+                Disable 2FA
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center' }}>
+            <input
+              className="form-input"
+              style={{ maxWidth: '160px' }}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="Current code"
+              inputMode="numeric"
+            />
+            <button className="btn btn-secondary btn-sm" onClick={regenerateCodes} disabled={isBusy || !code.trim()}>
+              ↻ New recovery codes
+            </button>
+            <button className="btn btn-danger btn-sm" onClick={() => { setShowDisable(true); setCode(''); }}>
+              Disable 2FA
+            </button>
+          </div>
+        )
+      ) : (
+        <button className="btn btn-primary btn-sm" style={{ width: 'auto' }} onClick={startSetup} disabled={isBusy}>
+          🔐 Set up 2FA
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
-import api from '../utils/api';
+import api, { tokenStore, COOKIE_AUTH } from '../utils/api';
 import toast from 'react-hot-toast';
 
 const AuthContext = createContext(null);
@@ -7,19 +7,18 @@ const AuthContext = createContext(null);
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [token, setToken] = useState(localStorage.getItem('token'));
+  const [token, setToken] = useState(tokenStore.getAccessToken());
 
   // Load user on mount
   useEffect(() => {
     const initAuth = async () => {
-      const savedToken = localStorage.getItem('token');
-      if (savedToken) {
+      if (tokenStore.getAccessToken() || tokenStore.hasSession()) {
         try {
           const { data } = await api.get('/auth/me');
           setUser(data.user);
+          setToken(tokenStore.getAccessToken());
         } catch {
-          localStorage.removeItem('token');
-          localStorage.removeItem('user');
+          tokenStore.clear();
           setToken(null);
         }
       }
@@ -30,7 +29,7 @@ export const AuthProvider = ({ children }) => {
 
   const register = useCallback(async (formData) => {
     const { data } = await api.post('/auth/register', formData);
-    localStorage.setItem('token', data.token);
+    tokenStore.set(data);
     setToken(data.token);
     setUser(data.user);
     toast.success(`Welcome, ${data.user.name}! 🎉`);
@@ -39,16 +38,41 @@ export const AuthProvider = ({ children }) => {
 
   const login = useCallback(async (formData) => {
     const { data } = await api.post('/auth/login', formData);
-    localStorage.setItem('token', data.token);
+    // 2FA accounts get a challenge; the caller finishes with verifyTwoFactor
+    if (data.twoFactorRequired) return data;
+    tokenStore.set(data);
     setToken(data.token);
     setUser(data.user);
     toast.success(`Welcome back, ${data.user.name}!`);
     return data;
   }, []);
 
-  const logout = useCallback(() => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  const verifyTwoFactor = useCallback(async (payload) => {
+    const { data } = await api.post('/auth/2fa/verify', payload);
+    tokenStore.set(data);
+    setToken(data.token);
+    setUser(data.user);
+    toast.success(`Welcome back, ${data.user.name}!`);
+    return data;
+  }, []);
+
+  // OAuth sign-in ends with a redirect; tokens arrive in the URL (or as cookies)
+  const completeOAuthLogin = useCallback(async (tokens) => {
+    tokenStore.set(tokens);
+    const { data } = await api.get('/auth/me');
+    setToken(tokenStore.getAccessToken());
+    setUser(data.user);
+    toast.success(`Welcome, ${data.user.name}!`);
+    return data;
+  }, []);
+
+  const logout = useCallback(async () => {
+    if (tokenStore.hasSession()) {
+      // Revoke the session server-side; local state is cleared regardless
+      const body = COOKIE_AUTH ? {} : { refreshToken: tokenStore.getRefreshToken() };
+      await api.post('/auth/logout', body).catch(() => {});
+    }
+    tokenStore.clear();
     setToken(null);
     setUser(null);
     toast.success('Logged out successfully.');
@@ -59,7 +83,19 @@ export const AuthProvider = ({ children }) => {
   }, []);
 
   return (
-    <AuthContext.Provider value={{ user, token, loading, register, login, logout, updateUser }}>
+    <AuthContext.Provider
+      value={{
+        user,
+        token,
+        loading,
+        register,
+        login,
+        verifyTwoFactor,
+        completeOAuthLogin,
+        logout,
+        updateUser,
+      }}
+    >
       {children}
     </AuthContext.Provider>
   );
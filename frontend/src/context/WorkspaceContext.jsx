@@ -0,0 +1,96 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import api, { workspaceStore } from '../utils/api';
+import { useAuth } from './AuthContext';
+
+const WorkspaceContext = createContext(null);
+
+// Which task list the app is showing: the user's personal tasks (null) or a
+// shared workspace. The choice is remembered across reloads.
+export const WorkspaceProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [workspaces, setWorkspaces] = useState([]);
+  const [currentId, setCurrentId] = useState(workspaceStore.get());
+  // People tasks in the current list can be assigned to
+  const [members, setMembers] = useState([]);
+
+  const selectWorkspace = useCallback((id) => {
+    workspaceStore.set(id);
+    setCurrentId(id || null);
+  }, []);
+
+  const refreshWorkspaces = useCallback(async () => {
+    const { data } = await api.get('/workspaces');
+    setWorkspaces(data.workspaces);
+    // Fall back to personal tasks if the remembered workspace is gone
+    const storedId = workspaceStore.get();
+    if (storedId && !data.workspaces.some((w) => w._id === storedId)) {
+      workspaceStore.clear();
+      setCurrentId(null);
+    }
+    return data.workspaces;
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      refreshWorkspaces().catch(() => {});
+    } else {
+      setWorkspaces([]);
+      setCurrentId(null);
+    }
+  }, [user, refreshWorkspaces]);
+
+  useEffect(() => {
+    if (!user) {
+      setMembers([]);
+      return undefined;
+    }
+    if (!currentId) {
+      setMembers([{ _id: user._id, name: user.name, email: user.email }]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    api.get(`/workspaces/${currentId}`)
+      .then(({ data }) => {
+        if (!cancelled) setMembers(data.workspace.members.map((m) => m.user));
+      })
+      .catch(() => {
+        if (!cancelled) setMembers([]);
+      });
+    return () => { cancelled = true; };
+  }, [user, currentId]);
+
+  const createWorkspace = useCallback(async (name) => {
+    const { data } = await api.post('/workspaces', { name });
+    setWorkspaces((prev) => [...prev, data.workspace].sort((a, b) => a.name.localeCompare(b.name)));
+    return data.workspace;
+  }, []);
+
+  const currentWorkspace = workspaces.find((w) => w._id === currentId) || null;
+  // Personal tasks are always fully editable
+  const role = currentWorkspace ? currentWorkspace.role : 'owner';
+
+  return (
+    <WorkspaceContext.Provider
+      value={{
+        workspaces,
+        currentWorkspaceId: currentId,
+        currentWorkspace,
+        role,
+        members,
+        canEdit: role !== 'viewer',
+        selectWorkspace,
+        refreshWorkspaces,
+        createWorkspace,
+      }}
+    >
+      {children}
+    </WorkspaceContext.Provider>
+  );
+};
+
+export const useWorkspace = () => {
+  const ctx = useContext(WorkspaceContext);
+  if (!ctx) throw new Error('useWorkspace must be used within WorkspaceProvider');
+  return ctx;
+};
@@ -1,4 +1,5 @@
 import { useState, useCallback } from 'react';
+import { format, parseISO } from 'date-fns';
 import api from '../utils/api';
 import toast from 'react-hot-toast';
 
@@ -37,13 +38,31 @@ export const useTasks = () => {
   const updateTask = useCallback(async (id, taskData) => {
     const { data } = await api.put(`/tasks/${id}`, taskData);
     toast.success('Task updated!');
+    if (data.nextOccurrence) {
+      toast.success(`Next occurrence due ${format(parseISO(data.nextOccurrence.dueDate), 'MMM d, yyyy')}`);
+    }
     return data.task;
   }, []);
 
+  // Moves the task to the trash; the caller offers an undo
   const deleteTask = useCallback(async (id) => {
     await api.delete(`/tasks/${id}`);
-    toast.success('Task deleted.');
   }, []);
 
-  return { tasks, loading, pagination, stats, fetchTasks, fetchStats, createTask, updateTask, deleteTask, setTasks };
+  const restoreTask = useCallback(async (id) => {
+    const { data } = await api.post(`/tasks/${id}/restore`);
+    toast.success('Task restored.');
+    return data.task;
+  }, []);
+
+  // One action on many tasks: { action, value, ids } or { action, value, filter }
+  const bulkUpdate = useCallback(async (payload) => {
+    const { data } = await api.post('/tasks/bulk', payload);
+    return data;
+  }, []);
+
+  return {
+    tasks, loading, pagination, stats, fetchTasks, fetchStats, createTask, updateTask, deleteTask, restoreTask, bulkUpdate,
+    setTasks,
+  };
 };
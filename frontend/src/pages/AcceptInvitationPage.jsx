@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import api from '../utils/api';
+
+const AcceptInvitationPage = () => {
+  const { token } = useParams();
+  const { user } = useAuth();
+  const { refreshWorkspaces, selectWorkspace } = useWorkspace();
+  const navigate = useNavigate();
+  const [invitation, setInvitation] = useState(null);
+  const [error, setError] = useState('');
+  const [isAccepting, setIsAccepting] = useState(false);
+
+  useEffect(() => {
+    api.get(`/workspaces/invitations/${token}`)
+      .then(({ data }) => setInvitation(data.invitation))
+      .catch((err) => setError(err.response?.data?.error || 'Invitation could not be loaded.'));
+  }, [token]);
+
+  const onAccept = async () => {
+    setIsAccepting(true);
+    try {
+      const { data } = await api.post(`/workspaces/invitations/${token}/accept`);
+      await refreshWorkspaces();
+      selectWorkspace(data.workspace._id);
+      toast.success(data.message);
+      navigate('/dashboard', { replace: true });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not accept the invitation.');
+    } finally {
+      setIsAccepting(false);
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="auth-glow top-left" />
+      <div className="auth-glow bottom-right" />
+      <div className="auth-card" style={{ textAlign: 'center' }}>
+        <div className="auth-logo" style={{ justifyContent: 'center' }}>
+          <div className="auth-logo-icon">⚡</div>
+          <span className="auth-logo-text">PrimeTrade</span>
+        </div>
+
+        {error ? (
+          <>
+            <h1 className="auth-title">Invitation unavailable</h1>
+            <p className="auth-subtitle">{error}</p>
+          </>
+        ) : !invitation ? (
+          <div className="spinner" style={{ margin: '0 auto 16px' }} />
+        ) : (
+          <>
+            <h1 className="auth-title">Join {invitation.workspace.name}</h1>
+            <p className="auth-subtitle">
+              {invitation.invitedBy || 'A teammate'} invited {invitation.email} to join as {invitation.role}.
+            </p>
+            {invitation.email !== user?.email && (
+              <p className="auth-subtitle" style={{ color: 'var(--danger)' }}>
+                You're signed in as {user?.email}. Sign in with the invited address to accept.
+              </p>
+            )}
+            <button
+              className="btn btn-primary"
+              onClick={onAccept}
+              disabled={isAccepting || invitation.email !== user?.email}
+            >
+              {isAccepting ? 'Joining...' : 'Accept invitation →'}
+            </button>
+          </>
+        )}
+
+        <div className="auth-link">
+          <Link to="/dashboard">Go to dashboard</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitationPage;
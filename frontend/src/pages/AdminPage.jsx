@@ -0,0 +1,241 @@
+import React, { useEffect, useState, useCallback, useRef } from 'react';
+import { format, parseISO } from 'date-fns';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import Sidebar from '../components/dashboard/Sidebar';
+import api from '../utils/api';
+
+const AdminPage = () => {
+  const { user: currentUser } = useAuth();
+  const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, page: 1, pages: 1, limit: 20 });
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [filters, setFilters] = useState({ search: '', role: '', status: '', page: 1 });
+  const searchTimeout = useRef(null);
+
+  const loadUsers = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page: filters.page, limit: 20 };
+      if (filters.search) params.search = filters.search;
+      if (filters.role) params.role = filters.role;
+      if (filters.status) params.status = filters.status;
+      const { data } = await api.get('/admin/users', { params });
+      setUsers(data.users);
+      setPagination(data.pagination);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => { loadUsers(); }, [loadUsers]);
+
+  const handleSearchChange = (e) => {
+    const val = e.target.value;
+    clearTimeout(searchTimeout.current);
+    searchTimeout.current = setTimeout(() => {
+      setFilters((f) => ({ ...f, search: val, page: 1 }));
+    }, 400);
+  };
+
+  const handleFilterChange = (key, value) => {
+    setFilters((f) => ({ ...f, [key]: value, page: 1 }));
+  };
+
+  // Run an admin action against one user, then merge the updated user back in
+  const runAction = async (id, request) => {
+    setBusyId(id);
+    try {
+      const { data } = await request();
+      toast.success(data.message);
+      if (data.user) {
+        setUsers((prev) => prev.map((u) => (u._id === id ? { ...u, ...data.user } : u)));
+      }
+    } catch (err) {
+      toast.error(err.response?.data?.error || err.response?.data?.errors?.[0]?.message || 'Action failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const toggleDisabled = (u) => {
+    if (!u.disabled && !window.confirm(`Disable ${u.email}? They will be signed out everywhere.`)) return;
+    runAction(u._id, () => api.patch(`/admin/users/${u._id}/status`, { disabled: !u.disabled }));
+  };
+
+  const changeRole = (u, role) => runAction(u._id, () => api.patch(`/admin/users/${u._id}/role`, { role }));
+
+  const forceReset = (u) => {
+    if (!window.confirm(`Force a password reset for ${u.email}? Their current password stops working and their API keys are revoked.`)) return;
+    runAction(u._id, () => api.post(`/admin/users/${u._id}/force-password-reset`));
+  };
+
+  return (
+    <div className="app-layout">
+      <Sidebar isOpen={sidebarOpen} onClose={() => setSidebarOpen(false)} />
+
+      <main className="main-content">
+        <div className="top-bar">
+          <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
+            <button className="menu-toggle" onClick={() => setSidebarOpen(true)}>☰</button>
+            <div>
+              <h1 className="page-title">Admin Console</h1>
+              <p className="page-subtitle">{pagination.total} user{pagination.total === 1 ? '' : 's'}</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="card">
+          {/* Toolbar */}
+          <div className="toolbar">
+            <div className="search-wrapper">
+              <span className="search-icon">⌕</span>
+              <input
+                type="text"
+                className="search-input"
+                placeholder="Search by name or email..."
+                onChange={handleSearchChange}
+                defaultValue={filters.search}
+              />
+            </div>
+            <select
+              className="filter-select"
+              value={filters.role}
+              onChange={(e) => handleFilterChange('role', e.target.value)}
+            >
+              <option value="">All Roles</option>
+              <option value="user">User</option>
+              <option value="admin">Admin</option>
+            </select>
+            <select
+              className="filter-select"
+              value={filters.status}
+              onChange={(e) => handleFilterChange('status', e.target.value)}
+            >
+              <option value="">All Accounts</option>
+              <option value="active">Active</option>
+              <option value="disabled">Disabled</option>
+            </select>
+          </div>
+
+          {/* Table */}
+          {loading && users.length === 0 ? (
+            <div className="empty-state">
+              <div className="spinner" style={{ margin: '0 auto' }} />
+              <p style={{ marginTop: '16px', color: 'var(--text-muted)' }}>Loading users...</p>
+            </div>
+          ) : users.length === 0 ? (
+            <div className="empty-state">
+              <div className="empty-state-icon">👥</div>
+              <div className="empty-state-title">No users found</div>
+              <div className="empty-state-desc">Try adjusting your filters</div>
+            </div>
+          ) : (
+            <div className="tasks-container">
+              <table className="tasks-table">
+                <thead>
+                  <tr>
+                    <th>User</th>
+                    <th>Role</th>
+                    <th>Status</th>
+                    <th>Tasks</th>
+                    <th>Joined</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {users.map((u) => {
+                    const isSelf = u._id === currentUser?._id;
+                    return (
+                      <tr key={u._id}>
+                        <td>
+                          <div className="task-title">{u.name}</div>
+                          <div className="task-description">{u.email}</div>
+                        </td>
+                        <td>
+                          <select
+                            className="filter-select"
+                            value={u.role}
+                            disabled={isSelf || busyId === u._id}
+                            onChange={(e) => changeRole(u, e.target.value)}
+                          >
+                            <option value="user">User</option>
+                            <option value="admin">Admin</option>
+                          </select>
+                        </td>
+                        <td>
+                          <span className={`badge ${u.disabled ? 'badge-high' : 'badge-done'}`}>
+                            {u.disabled ? 'Disabled' : 'Active'}
+                          </span>
+                        </td>
+                        <td>
+                          <span style={{ fontFamily: 'Space Mono', fontSize: '12px', color: 'var(--text-secondary)' }}>
+                            {u.taskCounts?.total ?? 0}
+                          </span>
+                          <span style={{ fontSize: '11px', color: 'var(--text-muted)' }}>
+                            {' '}({u.taskCounts?.done ?? 0} done)
+                          </span>
+                        </td>
+                        <td>
+                          <span style={{ fontFamily: 'Space Mono', fontSize: '12px', color: 'var(--text-secondary)' }}>
+                            {format(parseISO(u.createdAt), 'MMM d, yyyy')}
+                          </span>
+                        </td>
+                        <td>
+                          <div className="task-actions">
+                            <button
+                              className="btn btn-secondary btn-sm"
+                              disabled={busyId === u._id}
+                              onClick={() => forceReset(u)}
+                              title="Force password reset"
+                            >
+                              Reset password
+                            </button>
+                            <button
+                              className={`btn btn-sm ${u.disabled ? 'btn-secondary' : 'btn-danger'}`}
+                              disabled={isSelf || busyId === u._id}
+                              onClick={() => toggleDisabled(u)}
+                            >
+                              {u.disabled ? 'Enable' : 'Disable'}
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Pagination */}
+          {pagination.pages > 1 && (
+            <div className="pagination">
+              <span className="pagination-info">
+                Showing {(pagination.page - 1) * pagination.limit + 1}–{Math.min(pagination.page * pagination.limit, pagination.total)} of {pagination.total}
+              </span>
+              <div className="pagination-buttons">
+                <button
+                  className="page-btn"
+                  disabled={pagination.page <= 1}
+                  onClick={() => setFilters((f) => ({ ...f, page: f.page - 1 }))}
+                >←</button>
+                <button
+                  className="page-btn"
+                  disabled={pagination.page >= pagination.pages}
+                  onClick={() => setFilters((f) => ({ ...f, page: f.page + 1 }))}
+                >→</button>
+              </div>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default AdminPage;
@@ -1,38 +1,57 @@
 import React, { useEffect, useState, useCallback, useRef } from 'react';
 import { format, parseISO } from 'date-fns';
+import toast from 'react-hot-toast';
 import { useAuth } from '../context/AuthContext';
+import { useWorkspace } from '../context/WorkspaceContext';
 import { useTasks } from '../hooks/useTasks';
 import Sidebar from '../components/dashboard/Sidebar';
 import TaskModal from '../components/dashboard/TaskModal';
+import TaskDetailModal from '../components/dashboard/TaskDetailModal';
+import { StatusBadge, PriorityBadge } from '../components/dashboard/TaskBadges';
+import AssigneeAvatars from '../components/dashboard/AssigneeAvatars';
+import BulkActionBar from '../components/dashboard/BulkActionBar';
+import BoardView from '../components/dashboard/BoardView';
+import CalendarView from '../components/dashboard/CalendarView';
+import ExportMenu from '../components/dashboard/ExportMenu';
+import ImportModal from '../components/dashboard/ImportModal';
+import { describeRule } from '../utils/recurrence';
+import VerifyEmailBanner from '../components/auth/VerifyEmailBanner';
+import DeletionPendingBanner from '../components/auth/DeletionPendingBanner';
 
-const StatusBadge = ({ status }) => {
-  const map = { todo: 'badge badge-todo', 'in-progress': 'badge badge-in-progress', done: 'badge badge-done' };
-  const label = { todo: 'To Do', 'in-progress': 'In Progress', done: 'Done' };
-  return <span className={map[status]}>{label[status]}</span>;
-};
+// The API caps how many tasks one bulk request may change
+const MAX_BULK_TASKS = 100;
+const VIEW_KEY = 'dashboardView';
 
-const PriorityBadge = ({ priority }) => {
-  const map = { low: 'badge badge-low', medium: 'badge badge-medium', high: 'badge badge-high' };
-  return <span className={map[priority]}>{priority}</span>;
-};
+// Search and filter options that are set, as API params
+const toFilterParams = ({ search, status, priority, tag, assignee, blocked }) =>
+  Object.fromEntries(Object.entries({ search, status, priority, tag, assignee, blocked }).filter(([, value]) => value));
 
 const DashboardPage = () => {
   const { user } = useAuth();
-  const { tasks, loading, pagination, stats, fetchTasks, fetchStats, createTask, updateTask, deleteTask } = useTasks();
+  const { currentWorkspaceId, currentWorkspace, canEdit, members } = useWorkspace();
+  const {
+    tasks, loading, pagination, stats, fetchTasks, fetchStats, createTask, updateTask, deleteTask, restoreTask, bulkUpdate,
+  } = useTasks();
 
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [modalOpen, setModalOpen] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
+  const [viewingTask, setViewingTask] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
   const [deleteConfirm, setDeleteConfirm] = useState(null);
-  const [filters, setFilters] = useState({ search: '', status: '', priority: '', page: 1, limit: 10, sortBy: 'createdAt', order: 'desc' });
+  const [filters, setFilters] = useState({ search: '', status: '', priority: '', tag: '', assignee: '', blocked: '', page: 1, limit: 10, sortBy: 'createdAt', order: 'desc' });
   const searchTimeout = useRef(null);
+  // 'list' (paginated table), 'board' (status columns) or 'calendar' (by due
+  // date), remembered across visits
+  const [view, setView] = useState(() => localStorage.getItem(VIEW_KEY) || 'list');
+  // Multi-select: ids on the current page, or every task matching the filters
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [allMatching, setAllMatching] = useState(false);
+  const [isBulkBusy, setIsBulkBusy] = useState(false);
 
   const loadTasks = useCallback(() => {
-    const params = {};
-    if (filters.search) params.search = filters.search;
-    if (filters.status) params.status = filters.status;
-    if (filters.priority) params.priority = filters.priority;
+    const params = toFilterParams(filters);
     params.page = filters.page;
     params.limit = filters.limit;
     params.sortBy = filters.sortBy;
@@ -40,8 +59,24 @@ const DashboardPage = () => {
     fetchTasks(params);
   }, [filters, fetchTasks]);
 
-  useEffect(() => { loadTasks(); }, [loadTasks]);
-  useEffect(() => { fetchStats(); }, [fetchStats]);
+  // A different workspace has different pages and members; "me" still applies
+  useEffect(() => {
+    setFilters((f) => {
+      const assignee = f.assignee === 'me' ? 'me' : '';
+      return f.page === 1 && f.assignee === assignee ? f : { ...f, assignee, page: 1 };
+    });
+  }, [currentWorkspaceId]);
+
+  // currentWorkspaceId is sent as a header by the API client; refetch when it changes
+  useEffect(() => { loadTasks(); }, [loadTasks, currentWorkspaceId]);
+  useEffect(() => { localStorage.setItem(VIEW_KEY, view); }, [view]);
+
+  // A new page of results starts with nothing selected
+  useEffect(() => {
+    setSelectedIds([]);
+    setAllMatching(false);
+  }, [tasks]);
+  useEffect(() => { fetchStats(); }, [fetchStats, currentWorkspaceId]);
 
   const handleSearchChange = (e) => {
     const val = e.target.value;
@@ -56,7 +91,9 @@ const DashboardPage = () => {
   };
 
   const handleOpenCreate = () => { setEditingTask(null); setModalOpen(true); };
-  const handleOpenEdit = (task) => { setEditingTask(task); setModalOpen(true); };
+  const handleOpenEdit = (task) => { setViewingTask(null); setEditingTask(task); setModalOpen(true); };
+  // Comment counts may have changed while the detail view was open
+  const handleCloseDetail = () => { setViewingTask(null); loadTasks(); };
   const handleCloseModal = () => { setModalOpen(false); setEditingTask(null); };
 
   const handleSaveTask = async (data) => {
@@ -70,16 +107,90 @@ const DashboardPage = () => {
       handleCloseModal();
       loadTasks();
       fetchStats();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to save task');
     } finally {
       setIsSaving(false);
     }
   };
 
+  const handleRestore = async (id) => {
+    try {
+      await restoreTask(id);
+      loadTasks();
+      fetchStats();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to restore task');
+    }
+  };
+
   const handleDelete = async (id) => {
-    await deleteTask(id);
-    setDeleteConfirm(null);
-    loadTasks();
-    fetchStats();
+    try {
+      await deleteTask(id);
+      loadTasks();
+      fetchStats();
+      toast((t) => (
+        <span className="undo-toast">
+          Task moved to trash.
+          <button
+            type="button"
+            className="link-button"
+            onClick={() => {
+              toast.dismiss(t.id);
+              handleRestore(id);
+            }}
+          >Undo</button>
+        </span>
+      ), { duration: 6000 });
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to delete task');
+    } finally {
+      setDeleteConfirm(null);
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setAllMatching(false);
+    setSelectedIds((ids) => (ids.includes(id) ? ids.filter((i) => i !== id) : [...ids, id]));
+  };
+
+  // Export what the current view shows: the board ignores the status filter and
+  // keeps board order, the calendar runs by due date
+  const exportParams = {
+    list: { ...toFilterParams(filters), sortBy: filters.sortBy, order: filters.order },
+    board: { ...toFilterParams({ ...filters, status: '' }), sortBy: 'position' },
+    calendar: { ...toFilterParams(filters), sortBy: 'dueDate', order: 'asc' },
+  }[view];
+
+  const allOnPageSelected = tasks.length > 0 && selectedIds.length === tasks.length;
+  const toggleSelectPage = () => {
+    setAllMatching(false);
+    setSelectedIds(allOnPageSelected ? [] : tasks.map((t) => t._id));
+  };
+
+  const handleBulkApply = async (action, value) => {
+    const count = allMatching ? pagination.total : selectedIds.length;
+    if (action === 'delete' && !window.confirm(`Move ${count} task(s) to the trash?`)) return;
+
+    setIsBulkBusy(true);
+    try {
+      const target = allMatching ? { filter: toFilterParams(filters) } : { ids: selectedIds };
+      const { results, summary } = await bulkUpdate({ action, value, ...target });
+      if (summary.succeeded > 0) {
+        toast.success(`${summary.succeeded} task(s) ${action === 'delete' ? 'moved to trash' : 'updated'}.`);
+      }
+      const spawned = results.filter((r) => r.nextOccurrence).length;
+      if (spawned > 0) toast.success(`${spawned} next occurrence(s) created.`);
+      if (summary.failed > 0) {
+        toast.error(`${summary.failed} task(s) skipped: ${results.find((r) => !r.success).error}`);
+      }
+      loadTasks();
+      fetchStats();
+    } catch (err) {
+      toast.error(err.response?.data?.error || err.response?.data?.errors?.[0]?.message || 'Bulk update failed');
+    } finally {
+      setIsBulkBusy(false);
+    }
   };
 
   const getGreeting = () => {
@@ -89,9 +200,6 @@ const DashboardPage = () => {
     return 'Good evening';
   };
 
-  const getInitials = (name) =>
-    name ? name.split(' ').map((n) => n[0]).join('').toUpperCase().slice(0, 2) : '?';
-
   return (
     <div className="app-layout">
       <Sidebar isOpen={sidebarOpen} onClose={() => setSidebarOpen(false)} />
@@ -103,14 +211,28 @@ const DashboardPage = () => {
             <button className="menu-toggle" onClick={() => setSidebarOpen(true)}>☰</button>
             <div>
               <h1 className="page-title">{getGreeting()}, {user?.name?.split(' ')[0]} 👋</h1>
-              <p className="page-subtitle">Here's what's on your plate today</p>
+              <p className="page-subtitle">
+                {currentWorkspace
+                  ? `${currentWorkspace.name} · ${currentWorkspace.role}`
+                  : "Here's what's on your plate today"}
+              </p>
             </div>
           </div>
-          <button className="btn btn-primary" style={{ width: 'auto' }} onClick={handleOpenCreate}>
-            + New Task
-          </button>
+          {canEdit && (
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button className="btn btn-secondary" style={{ width: 'auto' }} onClick={() => setImportOpen(true)}>
+                ⬆ Import
+              </button>
+              <button className="btn btn-primary" style={{ width: 'auto' }} onClick={handleOpenCreate}>
+                + New Task
+              </button>
+            </div>
+          )}
         </div>
 
+        <VerifyEmailBanner />
+        <DeletionPendingBanner />
+
         {/* Stats */}
         <div className="stats-grid">
           <div className="stat-card total">
@@ -133,12 +255,40 @@ const DashboardPage = () => {
             <span className="stat-label">Completed</span>
             <span className="stat-value">{stats?.summary?.done ?? '—'}</span>
           </div>
+          <div className="stat-card assigned">
+            <span className="stat-icon">◎</span>
+            <span className="stat-label">Assigned to Me</span>
+            <span className="stat-value">{stats?.assigned?.open ?? '—'}</span>
+            {stats?.assigned && (
+              <span className="stat-hint">{stats.assigned.total} total, {stats.assigned.open} open</span>
+            )}
+          </div>
         </div>
 
         {/* Tasks Card */}
         <div className="card">
           {/* Toolbar */}
           <div className="toolbar">
+            <div className="view-toggle">
+              <button
+                type="button"
+                className={view === 'list' ? 'active' : ''}
+                onClick={() => setView('list')}
+                title="List view"
+              >☰ List</button>
+              <button
+                type="button"
+                className={view === 'board' ? 'active' : ''}
+                onClick={() => setView('board')}
+                title="Board view"
+              >▥ Board</button>
+              <button
+                type="button"
+                className={view === 'calendar' ? 'active' : ''}
+                onClick={() => setView('calendar')}
+                title="Calendar view"
+              >▦ Calendar</button>
+            </div>
             <div className="search-wrapper">
               <span className="search-icon">⌕</span>
               <input
@@ -149,16 +299,18 @@ const DashboardPage = () => {
                 defaultValue={filters.search}
               />
             </div>
-            <select
-              className="filter-select"
-              value={filters.status}
-              onChange={(e) => handleFilterChange('status', e.target.value)}
-            >
-              <option value="">All Status</option>
-              <option value="todo">To Do</option>
-              <option value="in-progress">In Progress</option>
-              <option value="done">Done</option>
-            </select>
+            {view !== 'board' && (
+              <select
+                className="filter-select"
+                value={filters.status}
+                onChange={(e) => handleFilterChange('status', e.target.value)}
+              >
+                <option value="">All Status</option>
+                <option value="todo">To Do</option>
+                <option value="in-progress">In Progress</option>
+                <option value="done">Done</option>
+              </select>
+            )}
             <select
               className="filter-select"
               value={filters.priority}
@@ -171,22 +323,92 @@ const DashboardPage = () => {
             </select>
             <select
               className="filter-select"
-              value={`${filters.sortBy}:${filters.order}`}
-              onChange={(e) => {
-                const [sortBy, order] = e.target.value.split(':');
-                setFilters((f) => ({ ...f, sortBy, order, page: 1 }));
-              }}
+              value={filters.assignee}
+              onChange={(e) => handleFilterChange('assignee', e.target.value)}
             >
-              <option value="createdAt:desc">Newest First</option>
-              <option value="createdAt:asc">Oldest First</option>
-              <option value="dueDate:asc">Due Date</option>
-              <option value="priority:desc">Priority</option>
-              <option value="title:asc">Title A–Z</option>
+              <option value="">All Assignees</option>
+              <option value="me">Assigned to Me</option>
+              {members.filter((m) => m._id !== user?._id).map((m) => (
+                <option key={m._id} value={m._id}>{m.name}</option>
+              ))}
             </select>
+            <select
+              className="filter-select"
+              value={filters.blocked}
+              onChange={(e) => handleFilterChange('blocked', e.target.value)}
+            >
+              <option value="">Blocked or Not</option>
+              <option value="true">Blocked</option>
+              <option value="false">Not Blocked</option>
+            </select>
+            {filters.tag && (
+              <button
+                type="button"
+                className="tag tag-filter"
+                onClick={() => handleFilterChange('tag', '')}
+                title="Clear tag filter"
+              >
+                #{filters.tag} ✕
+              </button>
+            )}
+            {view === 'list' && (
+              <select
+                className="filter-select"
+                value={`${filters.sortBy}:${filters.order}`}
+                onChange={(e) => {
+                  const [sortBy, order] = e.target.value.split(':');
+                  setFilters((f) => ({ ...f, sortBy, order, page: 1 }));
+                }}
+              >
+                <option value="createdAt:desc">Newest First</option>
+                <option value="createdAt:asc">Oldest First</option>
+                <option value="dueDate:asc">Due Date</option>
+                <option value="priority:desc">Priority</option>
+                <option value="title:asc">Title A–Z</option>
+                <option value="assignee:asc">Assignee</option>
+                <option value="position:asc">Board Order</option>
+              </select>
+            )}
+            <ExportMenu params={exportParams} />
           </div>
 
-          {/* Table */}
-          {loading ? (
+          {/* Bulk actions */}
+          {view === 'list' && canEdit && (selectedIds.length > 0 || allMatching) && (
+            <BulkActionBar
+              label={allMatching ? `All ${pagination.total} matching tasks selected` : `${selectedIds.length} selected`}
+              isBusy={isBulkBusy}
+              onApply={handleBulkApply}
+              onClear={() => {
+                setSelectedIds([]);
+                setAllMatching(false);
+              }}
+            >
+              {allOnPageSelected && !allMatching && pagination.total > tasks.length && pagination.total <= MAX_BULK_TASKS && (
+                <button type="button" className="link-button" onClick={() => setAllMatching(true)}>
+                  Select all {pagination.total} matching tasks
+                </button>
+              )}
+            </BulkActionBar>
+          )}
+
+          {/* Board or table */}
+          {view === 'board' ? (
+            <BoardView
+              filterParams={toFilterParams({ ...filters, status: '' })}
+              canEdit={canEdit}
+              // The list refetches after every change made from this page; follow it
+              refreshKey={tasks}
+              onOpenTask={setViewingTask}
+              onMoved={fetchStats}
+            />
+          ) : view === 'calendar' ? (
+            <CalendarView
+              filterParams={toFilterParams(filters)}
+              canEdit={canEdit}
+              refreshKey={tasks}
+              onOpenTask={setViewingTask}
+            />
+          ) : loading ? (
             <div className="empty-state">
               <div className="spinner" style={{ margin: '0 auto' }} />
               <p style={{ marginTop: '16px', color: 'var(--text-muted)' }}>Loading tasks...</p>
@@ -196,11 +418,11 @@ const DashboardPage = () => {
               <div className="empty-state-icon">📋</div>
               <div className="empty-state-title">No tasks found</div>
               <div className="empty-state-desc">
-                {filters.search || filters.status || filters.priority
+                {filters.search || filters.status || filters.priority || filters.assignee || filters.blocked
                   ? 'Try adjusting your filters'
                   : 'Create your first task to get started'}
               </div>
-              {!filters.search && !filters.status && !filters.priority && (
+              {canEdit && !filters.search && !filters.status && !filters.priority && !filters.assignee && !filters.blocked && (
                 <button className="btn btn-primary" style={{ width: 'auto', marginTop: '16px' }} onClick={handleOpenCreate}>
                   + Create Task
                 </button>
@@ -211,19 +433,59 @@ const DashboardPage = () => {
               <table className="tasks-table">
                 <thead>
                   <tr>
+                    {canEdit && (
+                      <th className="select-cell">
+                        <input
+                          type="checkbox"
+                          checked={allOnPageSelected}
+                          onChange={toggleSelectPage}
+                          title="Select all on this page"
+                        />
+                      </th>
+                    )}
                     <th>Task</th>
                     <th>Status</th>
                     <th>Priority</th>
                     <th>Due Date</th>
+                    <th>Assignees</th>
                     <th>Tags</th>
-                    <th>Actions</th>
+                    {canEdit && <th>Actions</th>}
                   </tr>
                 </thead>
                 <tbody>
                   {tasks.map((task) => (
-                    <tr key={task._id}>
+                    <tr key={task._id} className={allMatching || selectedIds.includes(task._id) ? 'selected' : ''}>
+                      {canEdit && (
+                        <td className="select-cell">
+                          <input
+                            type="checkbox"
+                            checked={allMatching || selectedIds.includes(task._id)}
+                            onChange={() => toggleSelected(task._id)}
+                          />
+                        </td>
+                      )}
                       <td>
-                        <div className="task-title">{task.title}</div>
+                        <button type="button" className="task-title task-title-link" onClick={() => setViewingTask(task)}>
+                          {task.title}
+                        </button>
+                        {task.recurrence && (
+                          <span className="recurrence-indicator" title={describeRule(task.recurrence.rule)}>🔁</span>
+                        )}
+                        {task.isBlocked && (
+                          <span
+                            className="blocked-indicator"
+                            title={`Blocked by: ${task.blockedBy.filter((b) => b.status !== 'done').map((b) => b.title).join(', ')}`}
+                          >🔒 Blocked</span>
+                        )}
+                        {task.checklistProgress?.total > 0 && (
+                          <span
+                            className={`checklist-progress ${task.checklistProgress.done === task.checklistProgress.total ? 'complete' : ''}`}
+                            title="Checklist progress"
+                          >☑ {task.checklistProgress.done}/{task.checklistProgress.total}</span>
+                        )}
+                        {task.commentCount > 0 && (
+                          <span className="comment-count" title={`${task.commentCount} comments`}>💬 {task.commentCount}</span>
+                        )}
                         {task.description && (
                           <div className="task-description">
                             {task.description.slice(0, 60)}{task.description.length > 60 ? '...' : ''}
@@ -241,27 +503,39 @@ const DashboardPage = () => {
                           <span style={{ color: 'var(--text-muted)', fontSize: '12px' }}>—</span>
                         )}
                       </td>
+                      <td><AssigneeAvatars assignees={task.assignees} /></td>
                       <td>
                         <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap' }}>
                           {task.tags?.slice(0, 2).map((tag) => (
-                            <span key={tag} className="tag" style={{ fontSize: '10px', padding: '2px 6px' }}>#{tag}</span>
+                            <button
+                              key={tag}
+                              type="button"
+                              className="tag tag-filter"
+                              style={{ fontSize: '10px', padding: '2px 6px' }}
+                              onClick={() => handleFilterChange('tag', tag)}
+                              title={`Show tasks tagged #${tag}`}
+                            >
+                              #{tag}
+                            </button>
                           ))}
                           {task.tags?.length > 2 && (
                             <span style={{ fontSize: '10px', color: 'var(--text-muted)' }}>+{task.tags.length - 2}</span>
                           )}
                         </div>
                       </td>
-                      <td>
-                        <div className="task-actions">
-                          <button className="btn-icon" onClick={() => handleOpenEdit(task)} title="Edit">✏</button>
-                          <button
-                            className="btn-icon"
-                            onClick={() => setDeleteConfirm(task._id)}
-                            title="Delete"
-                            style={{ borderColor: 'rgba(239,68,68,0.2)', color: 'var(--danger)' }}
-                          >✕</button>
-                        </div>
-                      </td>
+                      {canEdit && (
+                        <td>
+                          <div className="task-actions">
+                            <button className="btn-icon" onClick={() => handleOpenEdit(task)} title="Edit">✏</button>
+                            <button
+                              className="btn-icon"
+                              onClick={() => setDeleteConfirm(task._id)}
+                              title="Delete"
+                              style={{ borderColor: 'rgba(239,68,68,0.2)', color: 'var(--danger)' }}
+                            >✕</button>
+                          </div>
+                        </td>
+                      )}
                     </tr>
                   ))}
                 </tbody>
@@ -270,7 +544,7 @@ const DashboardPage = () => {
           )}
 
           {/* Pagination */}
-          {pagination.pages > 1 && (
+          {view === 'list' && pagination.pages > 1 && (
             <div className="pagination">
               <span className="pagination-info">
                 Showing {(pagination.page - 1) * pagination.limit + 1}–{Math.min(pagination.page * pagination.limit, pagination.total)} of {pagination.total}
@@ -312,6 +586,27 @@ const DashboardPage = () => {
         />
       )}
 
+      {/* Import Modal */}
+      {importOpen && (
+        <ImportModal
+          onClose={() => setImportOpen(false)}
+          onImported={() => {
+            loadTasks();
+            fetchStats();
+          }}
+        />
+      )}
+
+      {/* Task Detail Modal */}
+      {viewingTask && (
+        <TaskDetailModal
+          task={viewingTask}
+          canEdit={canEdit}
+          onEdit={handleOpenEdit}
+          onClose={handleCloseDetail}
+        />
+      )}
+
       {/* Delete Confirm Modal */}
       {deleteConfirm && (
         <div className="modal-overlay" onClick={() => setDeleteConfirm(null)}>
@@ -320,7 +615,7 @@ const DashboardPage = () => {
               <h2 className="modal-title">Delete Task?</h2>
             </div>
             <p style={{ color: 'var(--text-secondary)', fontSize: '14px' }}>
-              This action cannot be undone. The task will be permanently deleted.
+              The task will be moved to the trash. You can restore it from there until it is purged.
             </p>
             <div className="modal-footer">
               <button className="btn btn-secondary" onClick={() => setDeleteConfirm(null)}>Cancel</button>
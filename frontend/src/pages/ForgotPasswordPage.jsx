@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { yupResolver } from '@hookform/resolvers/yup';
+import * as yup from 'yup';
+import api from '../utils/api';
+
+const schema = yup.object({
+  email: yup.string().email('Invalid email address').required('Email is required'),
+});
+
+const ForgotPasswordPage = () => {
+  const [serverError, setServerError] = useState('');
+  const [sentMessage, setSentMessage] = useState('');
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm({ resolver: yupResolver(schema) });
+
+  const onSubmit = async (data) => {
+    setServerError('');
+    try {
+      const { data: res } = await api.post('/auth/forgot-password', data);
+      setSentMessage(res.message);
+    } catch (err) {
+      const errData = err.response?.data;
+      if (errData?.errors) {
+        setServerError(errData.errors.map((e) => e.message).join(', '));
+      } else {
+        setServerError(errData?.error || 'Could not send reset link. Please try again.');
+      }
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="auth-glow top-left" />
+      <div className="auth-glow bottom-right" />
+      <div className="auth-card">
+        <div className="auth-logo">
+          <div className="auth-logo-icon">⚡</div>
+          <span className="auth-logo-text">PrimeTrade</span>
+        </div>
+        <h1 className="auth-title">Forgot password?</h1>
+        <p className="auth-subtitle">Enter your email and we'll send you a reset link</p>
+
+        {serverError && (
+          <div style={{
+            background: 'rgba(239,68,68,0.08)',
+            border: '1px solid rgba(239,68,68,0.25)',
+            borderRadius: '10px',
+            padding: '12px 16px',
+            marginBottom: '20px',
+            fontSize: '14px',
+            color: '#ef4444',
+          }}>
+            ⚠️ {serverError}
+          </div>
+        )}
+
+        {sentMessage ? (
+          <div style={{
+            background: 'rgba(34,211,160,0.08)',
+            border: '1px solid rgba(34,211,160,0.25)',
+            borderRadius: '10px',
+            padding: '12px 16px',
+            fontSize: '14px',
+            color: 'var(--done)',
+          }}>
+            ✉️ {sentMessage}
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit(onSubmit)}>
+            <div className="form-group">
+              <label className="form-label">Email Address</label>
+              <input
+                {...register('email')}
+                type="email"
+                className={`form-input ${errors.email ? 'error' : ''}`}
+                placeholder="you@example.com"
+                autoComplete="email"
+                autoFocus
+              />
+              {errors.email && <span className="form-error">⚠ {errors.email.message}</span>}
+            </div>
+
+            <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+              {isSubmitting ? (
+                <><div className="spinner" style={{ width: '18px', height: '18px', borderWidth: '2px' }} /> Sending...</>
+              ) : (
+                'Send Reset Link →'
+              )}
+            </button>
+          </form>
+        )}
+
+        <div className="auth-link">
+          Remembered it? <Link to="/login">Back to sign in</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPasswordPage;
@@ -4,6 +4,7 @@ import { useForm } from 'react-hook-form';
 import { yupResolver } from '@hookform/resolvers/yup';
 import * as yup from 'yup';
 import { useAuth } from '../context/AuthContext';
+import OAuthButtons from '../components/auth/OAuthButtons';
 
 const schema = yup.object({
   email: yup.string().email('Invalid email address').required('Email is required'),
@@ -11,12 +12,17 @@ const schema = yup.object({
 });
 
 const LoginPage = () => {
-  const { login } = useAuth();
+  const { login, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   const from = location.state?.from?.pathname || '/dashboard';
   const [serverError, setServerError] = useState('');
   const [showPassword, setShowPassword] = useState(false);
+  // OAuth sign-ins for 2FA accounts land here with a challenge already issued
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [isVerifying, setIsVerifying] = useState(false);
 
   const {
     register,
@@ -27,7 +33,11 @@ const LoginPage = () => {
   const onSubmit = async (data) => {
     setServerError('');
     try {
-      await login(data);
+      const res = await login(data);
+      if (res.twoFactorRequired) {
+        setChallengeToken(res.challengeToken);
+        return;
+      }
       navigate(from, { replace: true });
     } catch (err) {
       const errData = err.response?.data;
@@ -39,6 +49,28 @@ const LoginPage = () => {
     }
   };
 
+  const onVerifyCode = async (e) => {
+    e.preventDefault();
+    setServerError('');
+    setIsVerifying(true);
+    try {
+      await verifyTwoFactor(
+        useRecoveryCode ? { challengeToken, recoveryCode: code } : { challengeToken, code }
+      );
+      navigate(from, { replace: true });
+    } catch (err) {
+      const errData = err.response?.data;
+      setServerError(errData?.error || 'Verification failed. Please try again.');
+      // An expired challenge means starting over from the password step
+      if (err.response?.status === 401 && /challenge/i.test(errData?.error || '')) {
+        setChallengeToken(null);
+      }
+    } finally {
+      setIsVerifying(false);
+      setCode('');
+    }
+  };
+
   return (
     <div className="auth-page">
       <div className="auth-glow top-left" />
@@ -48,8 +80,14 @@ const LoginPage = () => {
           <div className="auth-logo-icon">⚡</div>
           <span className="auth-logo-text">PrimeTrade</span>
         </div>
-        <h1 className="auth-title">Welcome back</h1>
-        <p className="auth-subtitle">Sign in to your account to continue</p>
+        <h1 className="auth-title">{challengeToken ? 'Two-factor check' : 'Welcome back'}</h1>
+        <p className="auth-subtitle">
+          {challengeToken
+            ? useRecoveryCode
+              ? 'Enter one of your recovery codes'
+              : 'Enter the 6-digit code from your authenticator app'
+            : 'Sign in to your account to continue'}
+        </p>
 
         {serverError && (
           <div style={{
@@ -68,61 +106,106 @@ const LoginPage = () => {
           </div>
         )}
 
-        <form onSubmit={handleSubmit(onSubmit)}>
-          <div className="form-group">
-            <label className="form-label">Email Address</label>
-            <input
-              {...register('email')}
-              type="email"
-              className={`form-input ${errors.email ? 'error' : ''}`}
-              placeholder="you@example.com"
-              autoComplete="email"
-            />
-            {errors.email && <span className="form-error">⚠ {errors.email.message}</span>}
-          </div>
-
-          <div className="form-group">
-            <label className="form-label">Password</label>
-            <div style={{ position: 'relative' }}>
+        {challengeToken ? (
+          <form onSubmit={onVerifyCode}>
+            <div className="form-group">
+              <label className="form-label">{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</label>
               <input
-                {...register('password')}
-                type={showPassword ? 'text' : 'password'}
-                className={`form-input ${errors.password ? 'error' : ''}`}
-                placeholder="Enter your password"
-                autoComplete="current-password"
-                style={{ paddingRight: '44px' }}
+                type="text"
+                className="form-input"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder={useRecoveryCode ? 'xxxx-xxxx-xxxx' : '123456'}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
+                style={{ fontFamily: 'Space Mono', letterSpacing: '2px' }}
               />
+            </div>
+
+            <button type="submit" className="btn btn-primary" disabled={isVerifying || !code.trim()}>
+              {isVerifying ? (
+                <><div className="spinner" style={{ width: '18px', height: '18px', borderWidth: '2px' }} /> Verifying...</>
+              ) : (
+                'Verify →'
+              )}
+            </button>
+
+            <div className="auth-link">
               <button
                 type="button"
-                onClick={() => setShowPassword(!showPassword)}
-                style={{
-                  position: 'absolute',
-                  right: '12px',
-                  top: '50%',
-                  transform: 'translateY(-50%)',
-                  background: 'none',
-                  border: 'none',
-                  cursor: 'pointer',
-                  color: 'var(--text-muted)',
-                  fontSize: '16px',
-                  padding: '4px',
-                  lineHeight: 1,
-                }}
+                className="btn-ghost"
+                style={{ border: 'none', cursor: 'pointer', fontSize: '14px' }}
+                onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }}
               >
-                {showPassword ? '🙈' : '👁'}
+                {useRecoveryCode ? 'Use authenticator code instead' : 'Lost your device? Use a recovery code'}
               </button>
             </div>
-            {errors.password && <span className="form-error">⚠ {errors.password.message}</span>}
-          </div>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit(onSubmit)}>
+            <div className="form-group">
+              <label className="form-label">Email Address</label>
+              <input
+                {...register('email')}
+                type="email"
+                className={`form-input ${errors.email ? 'error' : ''}`}
+                placeholder="you@example.com"
+                autoComplete="email"
+              />
+              {errors.email && <span className="form-error">⚠ {errors.email.message}</span>}
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Password</label>
+              <div style={{ position: 'relative' }}>
+                <input
+                  {...register('password')}
+                  type={showPassword ? 'text' : 'password'}
+                  className={`form-input ${errors.password ? 'error' : ''}`}
+                  placeholder="Enter your password"
+                  autoComplete="current-password"
+                  style={{ paddingRight: '44px' }}
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  style={{
+                    position: 'absolute',
+                    right: '12px',
+                    top: '50%',
+                    transform: 'translateY(-50%)',
+                    background: 'none',
+                    border: 'none',
+                    cursor: 'pointer',
+                    color: 'var(--text-muted)',
+                    fontSize: '16px',
+                    padding: '4px',
+                    lineHeight: 1,
+                  }}
+                >
+                  {showPassword ? '🙈' : '👁'}
+                </button>
+              </div>
+              {errors.password && <span className="form-error">⚠ {errors.password.message}</span>}
+              <div style={{ textAlign: 'right', marginTop: '8px', fontSize: '13px' }}>
+                <Link to="/forgot-password" style={{ color: 'var(--accent-light)', textDecoration: 'none' }}>
+                  Forgot password?
+                </Link>
+              </div>
+            </div>
+
+            <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+              {isSubmitting ? (
+                <><div className="spinner" style={{ width: '18px', height: '18px', borderWidth: '2px' }} /> Signing in...</>
+              ) : (
+                'Sign In →'
+              )}
+            </button>
+          </form>
+        )}
 
-          <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
-            {isSubmitting ? (
-              <><div className="spinner" style={{ width: '18px', height: '18px', borderWidth: '2px' }} /> Signing in...</>
-            ) : (
-              'Sign In →'
-            )}
-          </button>
-        </form>
+        {!challengeToken && <OAuthButtons />}
 
         <div className="auth-link">
           Don't have an account? <Link to="/register">Create one</Link>
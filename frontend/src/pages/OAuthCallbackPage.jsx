@@ -0,0 +1,63 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const OAuthCallbackPage = () => {
+  const { completeOAuthLogin } = useAuth();
+  const navigate = useNavigate();
+  const [error, setError] = useState('');
+  const handled = useRef(false);
+
+  useEffect(() => {
+    // StrictMode mounts twice in development; only consume the result once
+    if (handled.current) return;
+    handled.current = true;
+
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    // Drop the tokens from the address bar and history right away
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (params.get('error')) {
+      setError(params.get('error'));
+      return;
+    }
+    if (params.get('challengeToken')) {
+      navigate('/login', { replace: true, state: { challengeToken: params.get('challengeToken') } });
+      return;
+    }
+
+    completeOAuthLogin({ token: params.get('token'), refreshToken: params.get('refreshToken') })
+      .then(() => navigate('/dashboard', { replace: true }))
+      .catch(() => setError('Sign-in failed. Please try again.'));
+  }, [completeOAuthLogin, navigate]);
+
+  return (
+    <div className="auth-page">
+      <div className="auth-glow top-left" />
+      <div className="auth-glow bottom-right" />
+      <div className="auth-card" style={{ textAlign: 'center' }}>
+        <div className="auth-logo" style={{ justifyContent: 'center' }}>
+          <div className="auth-logo-icon">⚡</div>
+          <span className="auth-logo-text">PrimeTrade</span>
+        </div>
+
+        {error ? (
+          <>
+            <h1 className="auth-title">Sign-in failed</h1>
+            <p className="auth-subtitle">{error}</p>
+            <div className="auth-link">
+              <Link to="/login">Back to sign in</Link>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="spinner" style={{ margin: '0 auto 16px' }} />
+            <p className="auth-subtitle">Signing you in...</p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OAuthCallbackPage;
@@ -1,10 +1,14 @@
-import React, { useState } from 'react';
-import { format } from 'date-fns';
+import React, { useState, useEffect, useCallback } from 'react';
+import { format, formatDistanceToNow } from 'date-fns';
 import { useForm } from 'react-hook-form';
 import { yupResolver } from '@hookform/resolvers/yup';
 import * as yup from 'yup';
 import { useAuth } from '../context/AuthContext';
 import Sidebar from '../components/dashboard/Sidebar';
+import TwoFactorSettings from '../components/profile/TwoFactorSettings';
+import ApiKeySettings from '../components/profile/ApiKeySettings';
+import CalendarFeedSettings from '../components/profile/CalendarFeedSettings';
+import AccountSettings from '../components/profile/AccountSettings';
 import api from '../utils/api';
 import toast from 'react-hot-toast';
 
@@ -26,12 +30,32 @@ const passwordSchema = yup.object({
     .required('Please confirm'),
 });
 
+const TAB_LABELS = {
+  profile: '👤 Profile Info',
+  security: '🔒 Security',
+  'api-keys': '🔑 API Keys',
+  calendar: '📅 Calendar Feed',
+  account: '⚙ Account',
+};
+
+// Rough "Browser on OS" label from a user-agent string
+const describeDevice = (userAgent = '') => {
+  const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+    .find(([needle]) => userAgent.includes(needle))?.[1];
+  const os = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']]
+    .find(([needle]) => userAgent.includes(needle))?.[1];
+  if (!browser && !os) return userAgent ? userAgent.slice(0, 40) : 'Unknown device';
+  return `${browser || 'Unknown browser'} on ${os || 'unknown OS'}`;
+};
+
 const ProfilePage = () => {
   const { user, updateUser } = useAuth();
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [activeTab, setActiveTab] = useState('profile');
   const [isUpdating, setIsUpdating] = useState(false);
   const [isChangingPw, setIsChangingPw] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(false);
 
   const getInitials = (name) =>
     name ? name.split(' ').map((n) => n[0]).join('').toUpperCase().slice(0, 2) : '?';
@@ -52,6 +76,42 @@ const ProfilePage = () => {
     formState: { errors: pwErrors },
   } = useForm({ resolver: yupResolver(passwordSchema) });
 
+  const loadSessions = useCallback(async () => {
+    setSessionsLoading(true);
+    try {
+      const { data } = await api.get('/users/sessions');
+      setSessions(data.sessions);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load sessions');
+    } finally {
+      setSessionsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'security') loadSessions();
+  }, [activeTab, loadSessions]);
+
+  const onRevokeSession = async (id) => {
+    try {
+      await api.delete(`/users/sessions/${id}`);
+      toast.success('Session revoked');
+      loadSessions();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to revoke session');
+    }
+  };
+
+  const onRevokeOtherSessions = async () => {
+    try {
+      const { data } = await api.delete('/users/sessions');
+      toast.success(data.message);
+      loadSessions();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to revoke sessions');
+    }
+  };
+
   const onSaveProfile = async (data) => {
     setIsUpdating(true);
     try {
@@ -72,8 +132,9 @@ const ProfilePage = () => {
         currentPassword: data.currentPassword,
         newPassword: data.newPassword,
       });
-      toast.success('Password changed!');
+      toast.success('Password changed! Other sessions were signed out.');
       resetPassword();
+      loadSessions();
     } catch (err) {
       toast.error(err.response?.data?.error || 'Failed to change password');
     } finally {
@@ -123,7 +184,7 @@ const ProfilePage = () => {
           <div>
             {/* Tabs */}
             <div style={{ display: 'flex', gap: '4px', marginBottom: '20px', background: 'var(--bg-card)', border: '1px solid var(--border)', borderRadius: '12px', padding: '4px' }}>
-              {['profile', 'security'].map((tab) => (
+              {Object.keys(TAB_LABELS).map((tab) => (
                 <button
                   key={tab}
                   onClick={() => setActiveTab(tab)}
@@ -137,7 +198,7 @@ const ProfilePage = () => {
                     textTransform: 'capitalize',
                   }}
                 >
-                  {tab === 'profile' ? '👤 Profile Info' : '🔒 Security'}
+                  {TAB_LABELS[tab]}
                 </button>
               ))}
             </div>
@@ -241,6 +302,60 @@ const ProfilePage = () => {
                 </form>
               </div>
             )}
+
+            {activeTab === 'security' && <TwoFactorSettings />}
+
+            {activeTab === 'security' && (
+              <div className="card" style={{ marginTop: '20px' }}>
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '12px', marginBottom: '8px' }}>
+                  <h3 style={{ fontFamily: 'Syne', fontSize: '18px', fontWeight: 700 }}>
+                    Active Sessions
+                  </h3>
+                  {sessions.length > 1 && (
+                    <button className="btn btn-danger btn-sm" onClick={onRevokeOtherSessions}>
+                      ↩ Log out everywhere else
+                    </button>
+                  )}
+                </div>
+                <p style={{ fontSize: '13px', color: 'var(--text-muted)', marginBottom: '20px' }}>
+                  Devices currently signed in to your account. Revoke any you don't recognise.
+                </p>
+                {sessionsLoading && sessions.length === 0 ? (
+                  <div className="spinner" style={{ margin: '0 auto' }} />
+                ) : (
+                  <div className="settings-list">
+                    {sessions.map((session) => (
+                      <div key={session._id} className="settings-item">
+                        <div>
+                          <div className="settings-item-title">
+                            {describeDevice(session.userAgent)}
+                            {session.current && <span className="settings-item-badge">This device</span>}
+                          </div>
+                          <div className="settings-item-meta">
+                            {session.ip || 'Unknown IP'} · Active {formatDistanceToNow(new Date(session.lastSeenAt), { addSuffix: true })}
+                            {' '}· Signed in {format(new Date(session.createdAt), 'MMM d, yyyy')}
+                          </div>
+                        </div>
+                        {!session.current && (
+                          <button className="btn btn-danger btn-sm" onClick={() => onRevokeSession(session._id)}>
+                            Revoke
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* API Keys Tab */}
+            {activeTab === 'api-keys' && <ApiKeySettings />}
+
+            {/* Calendar Feed Tab */}
+            {activeTab === 'calendar' && <CalendarFeedSettings />}
+
+            {/* Account Tab */}
+            {activeTab === 'account' && <AccountSettings />}
           </div>
         </div>
       </main>
@@ -4,6 +4,7 @@ import { useForm } from 'react-hook-form';
 import { yupResolver } from '@hookform/resolvers/yup';
 import * as yup from 'yup';
 import { useAuth } from '../context/AuthContext';
+import OAuthButtons from '../components/auth/OAuthButtons';
 
 const schema = yup.object({
   name: yup
@@ -165,6 +166,8 @@ const RegisterPage = () => {
           </button>
         </form>
 
+        <OAuthButtons />
+
         <div className="auth-link">
           Already have an account? <Link to="/login">Sign in</Link>
         </div>
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { yupResolver } from '@hookform/resolvers/yup';
+import * as yup from 'yup';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+
+const schema = yup.object({
+  password: yup
+    .string()
+    .min(6, 'Password must be at least 6 characters')
+    .matches(/\d/, 'Password must contain at least one number')
+    .required('Password is required'),
+  confirmPassword: yup
+    .string()
+    .oneOf([yup.ref('password')], 'Passwords must match')
+    .required('Please confirm your password'),
+});
+
+const ResetPasswordPage = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [serverError, setServerError] = useState('');
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm({ resolver: yupResolver(schema) });
+
+  const onSubmit = async (data) => {
+    setServerError('');
+    try {
+      const { data: res } = await api.post('/auth/reset-password', { token, password: data.password });
+      toast.success(res.message);
+      navigate('/login', { replace: true });
+    } catch (err) {
+      const errData = err.response?.data;
+      if (errData?.errors) {
+        setServerError(errData.errors.map((e) => e.message).join(', '));
+      } else {
+        setServerError(errData?.error || 'Could not reset password. Please try again.');
+      }
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="auth-glow top-left" />
+      <div className="auth-glow bottom-right" />
+      <div className="auth-card">
+        <div className="auth-logo">
+          <div className="auth-logo-icon">⚡</div>
+          <span className="auth-logo-text">PrimeTrade</span>
+        </div>
+        <h1 className="auth-title">Choose a new password</h1>
+        <p className="auth-subtitle">You'll be signed out of all devices afterwards</p>
+
+        {serverError && (
+          <div style={{
+            background: 'rgba(239,68,68,0.08)',
+            border: '1px solid rgba(239,68,68,0.25)',
+            borderRadius: '10px',
+            padding: '12px 16px',
+            marginBottom: '20px',
+            fontSize: '14px',
+            color: '#ef4444',
+          }}>
+            ⚠️ {serverError}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit(onSubmit)}>
+          <div className="form-group">
+            <label className="form-label">New Password</label>
+            <input
+              {...register('password')}
+              type="password"
+              className={`form-input ${errors.password ? 'error' : ''}`}
+              placeholder="Min. 6 characters, include a number"
+              autoComplete="new-password"
+              autoFocus
+            />
+            {errors.password && <span className="form-error">⚠ {errors.password.message}</span>}
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Confirm Password</label>
+            <input
+              {...register('confirmPassword')}
+              type="password"
+              className={`form-input ${errors.confirmPassword ? 'error' : ''}`}
+              placeholder="Repeat your password"
+              autoComplete="new-password"
+            />
+            {errors.confirmPassword && <span className="form-error">⚠ {errors.confirmPassword.message}</span>}
+          </div>
+
+          <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+            {isSubmitting ? (
+              <><div className="spinner" style={{ width: '18px', height: '18px', borderWidth: '2px' }} /> Resetting...</>
+            ) : (
+              'Reset Password →'
+            )}
+          </button>
+        </form>
+
+        <div className="auth-link">
+          Link expired? <Link to="/forgot-password">Request a new one</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
@@ -0,0 +1,169 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { format, parseISO } from 'date-fns';
+import toast from 'react-hot-toast';
+import { useWorkspace } from '../context/WorkspaceContext';
+import Sidebar from '../components/dashboard/Sidebar';
+import { StatusBadge, PriorityBadge } from '../components/dashboard/TaskBadges';
+import api from '../utils/api';
+
+// Deleted tasks of the current list: restore them, or delete them for good
+const TrashPage = () => {
+  const { currentWorkspaceId, currentWorkspace, canEdit } = useWorkspace();
+  const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [tasks, setTasks] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, page: 1, pages: 1, limit: 10 });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  const loadTrash = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await api.get('/tasks/trash', { params: { page } });
+      setTasks(data.tasks);
+      setPagination(data.pagination);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  }, [page]);
+
+  useEffect(() => { loadTrash(); }, [loadTrash, currentWorkspaceId]);
+
+  // Back to the first page whenever the list switches
+  useEffect(() => { setPage(1); }, [currentWorkspaceId]);
+
+  const run = async (action, fallback) => {
+    try {
+      await action();
+      // Stay in range when the last task on a page goes away
+      if (tasks.length === 1 && page > 1) setPage(page - 1);
+      else loadTrash();
+    } catch (err) {
+      toast.error(err.response?.data?.error || fallback);
+    }
+  };
+
+  const onRestore = (id) => run(async () => {
+    await api.post(`/tasks/${id}/restore`);
+    toast.success('Task restored.');
+  }, 'Failed to restore task');
+
+  const onDeleteForever = (id) => {
+    if (!window.confirm('Permanently delete this task? This cannot be undone.')) return;
+    run(async () => {
+      await api.delete(`/tasks/${id}/permanent`);
+      toast.success('Task permanently deleted.');
+    }, 'Failed to delete task');
+  };
+
+  const onEmptyTrash = () => {
+    if (!window.confirm(`Permanently delete all ${pagination.total} tasks in the trash? This cannot be undone.`)) return;
+    run(async () => {
+      const { data } = await api.delete('/tasks/trash');
+      toast.success(`${data.deleted} task(s) permanently deleted.`);
+      setPage(1);
+    }, 'Failed to empty trash');
+  };
+
+  return (
+    <div className="app-layout">
+      <Sidebar isOpen={sidebarOpen} onClose={() => setSidebarOpen(false)} />
+
+      <main className="main-content">
+        <div className="top-bar">
+          <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
+            <button className="menu-toggle" onClick={() => setSidebarOpen(true)}>☰</button>
+            <div>
+              <h1 className="page-title">Trash</h1>
+              <p className="page-subtitle">
+                {currentWorkspace ? `${currentWorkspace.name} · ` : ''}
+                Deleted tasks are purged automatically after a while
+              </p>
+            </div>
+          </div>
+          {canEdit && tasks.length > 0 && (
+            <button className="btn btn-danger" style={{ width: 'auto' }} onClick={onEmptyTrash}>
+              Empty Trash
+            </button>
+          )}
+        </div>
+
+        <div className="card">
+          {loading ? (
+            <div className="empty-state">
+              <div className="spinner" style={{ margin: '0 auto' }} />
+              <p style={{ marginTop: '16px', color: 'var(--text-muted)' }}>Loading trash...</p>
+            </div>
+          ) : tasks.length === 0 ? (
+            <div className="empty-state">
+              <div className="empty-state-icon">🗑</div>
+              <div className="empty-state-title">Trash is empty</div>
+              <div className="empty-state-desc">Deleted tasks show up here</div>
+            </div>
+          ) : (
+            <div className="tasks-container">
+              <table className="tasks-table">
+                <thead>
+                  <tr>
+                    <th>Task</th>
+                    <th>Status</th>
+                    <th>Priority</th>
+                    <th>Deleted</th>
+                    <th>Purged</th>
+                    {canEdit && <th>Actions</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {tasks.map((task) => (
+                    <tr key={task._id}>
+                      <td>
+                        <div className="task-title">{task.title}</div>
+                        {task.description && (
+                          <div className="task-description">
+                            {task.description.slice(0, 60)}{task.description.length > 60 ? '...' : ''}
+                          </div>
+                        )}
+                      </td>
+                      <td><StatusBadge status={task.status} /></td>
+                      <td><PriorityBadge priority={task.priority} /></td>
+                      <td className="trash-date">{format(parseISO(task.deletedAt), 'MMM d, yyyy')}</td>
+                      <td className="trash-date">{format(parseISO(task.purgeAt), 'MMM d, yyyy')}</td>
+                      {canEdit && (
+                        <td>
+                          <div className="task-actions">
+                            <button className="btn-icon" onClick={() => onRestore(task._id)} title="Restore">↺</button>
+                            <button
+                              className="btn-icon"
+                              onClick={() => onDeleteForever(task._id)}
+                              title="Delete forever"
+                              style={{ borderColor: 'rgba(239,68,68,0.2)', color: 'var(--danger)' }}
+                            >✕</button>
+                          </div>
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {pagination.pages > 1 && (
+            <div className="pagination">
+              <span className="pagination-info">
+                Showing {(pagination.page - 1) * pagination.limit + 1}–{Math.min(pagination.page * pagination.limit, pagination.total)} of {pagination.total}
+              </span>
+              <div className="pagination-buttons">
+                <button className="page-btn" disabled={page <= 1} onClick={() => setPage(page - 1)}>←</button>
+                <button className="page-btn" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>→</button>
+              </div>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default TrashPage;
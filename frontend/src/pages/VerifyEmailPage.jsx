@@ -0,0 +1,72 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import api from '../utils/api';
+
+const VerifyEmailPage = () => {
+  const { token } = useParams();
+  const { user, updateUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // StrictMode mounts twice in development; the token can only be used once
+    if (requested.current) return;
+    requested.current = true;
+
+    api.get(`/auth/verify-email/${token}`)
+      .then(({ data }) => {
+        setStatus('success');
+        setMessage(data.message);
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.response?.data?.error || 'Verification failed. Please try again.');
+      });
+  }, [token]);
+
+  useEffect(() => {
+    if (status === 'success' && user && !user.emailVerified) {
+      updateUser({ ...user, emailVerified: true });
+    }
+  }, [status, user, updateUser]);
+
+  return (
+    <div className="auth-page">
+      <div className="auth-glow top-left" />
+      <div className="auth-glow bottom-right" />
+      <div className="auth-card" style={{ textAlign: 'center' }}>
+        <div className="auth-logo" style={{ justifyContent: 'center' }}>
+          <div className="auth-logo-icon">⚡</div>
+          <span className="auth-logo-text">PrimeTrade</span>
+        </div>
+
+        {status === 'verifying' && (
+          <>
+            <div className="spinner" style={{ margin: '0 auto 16px' }} />
+            <p className="auth-subtitle">Verifying your email address...</p>
+          </>
+        )}
+        {status === 'success' && (
+          <>
+            <h1 className="auth-title">Email verified ✓</h1>
+            <p className="auth-subtitle">{message}</p>
+          </>
+        )}
+        {status === 'error' && (
+          <>
+            <h1 className="auth-title">Verification failed</h1>
+            <p className="auth-subtitle">{message}</p>
+          </>
+        )}
+
+        <div className="auth-link">
+          {user ? <Link to="/dashboard">Go to dashboard</Link> : <Link to="/login">Sign in</Link>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
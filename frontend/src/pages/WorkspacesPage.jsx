@@ -0,0 +1,284 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import Sidebar from '../components/dashboard/Sidebar';
+import api from '../utils/api';
+
+const errorMessage = (err, fallback) =>
+  err.response?.data?.error || err.response?.data?.errors?.[0]?.message || fallback;
+
+const WorkspacesPage = () => {
+  const { user } = useAuth();
+  const { workspaces, currentWorkspaceId, selectWorkspace, refreshWorkspaces, createWorkspace } = useWorkspace();
+  const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [selectedId, setSelectedId] = useState(currentWorkspaceId);
+  const [details, setDetails] = useState(null);
+  const [invitations, setInvitations] = useState([]);
+  const [newName, setNewName] = useState('');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const activeId = selectedId || workspaces[0]?._id || null;
+
+  const loadDetails = useCallback(async () => {
+    if (!activeId) {
+      setDetails(null);
+      return;
+    }
+    try {
+      const { data } = await api.get(`/workspaces/${activeId}`);
+      setDetails(data.workspace);
+      setInvitations(data.invitations);
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to load workspace'));
+    }
+  }, [activeId]);
+
+  useEffect(() => { loadDetails(); }, [loadDetails]);
+
+  const run = async (action) => {
+    setIsBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      toast.error(errorMessage(err, 'Something went wrong'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const onCreate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const workspace = await createWorkspace(newName);
+      setNewName('');
+      setSelectedId(workspace._id);
+      toast.success('Workspace created');
+    });
+  };
+
+  const onInvite = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const { data } = await api.post(`/workspaces/${activeId}/invitations`, { email: inviteEmail, role: inviteRole });
+      setInviteEmail('');
+      toast.success(data.message);
+      loadDetails();
+    });
+  };
+
+  const onCancelInvitation = (id) => run(async () => {
+    await api.delete(`/workspaces/${activeId}/invitations/${id}`);
+    setInvitations((prev) => prev.filter((i) => i._id !== id));
+  });
+
+  const onChangeRole = (memberId, role) => run(async () => {
+    const { data } = await api.patch(`/workspaces/${activeId}/members/${memberId}`, { role });
+    toast.success(data.message);
+    loadDetails();
+  });
+
+  // Removing yourself is leaving the workspace
+  const onRemoveMember = (memberId) => {
+    const leaving = memberId === user?._id;
+    if (!window.confirm(leaving ? 'Leave this workspace?' : 'Remove this member?')) return;
+    run(async () => {
+      const { data } = await api.delete(`/workspaces/${activeId}/members/${memberId}`);
+      toast.success(data.message);
+      if (leaving) {
+        if (currentWorkspaceId === activeId) selectWorkspace(null);
+        setSelectedId(null);
+        await refreshWorkspaces();
+      } else {
+        loadDetails();
+      }
+    });
+  };
+
+  const onDelete = () => {
+    if (!window.confirm(`Delete "${details.name}" and all of its tasks? This cannot be undone.`)) return;
+    run(async () => {
+      await api.delete(`/workspaces/${activeId}`);
+      toast.success('Workspace deleted');
+      if (currentWorkspaceId === activeId) selectWorkspace(null);
+      setSelectedId(null);
+      await refreshWorkspaces();
+    });
+  };
+
+  const isOwner = details?.role === 'owner';
+
+  return (
+    <div className="app-layout">
+      <Sidebar isOpen={sidebarOpen} onClose={() => setSidebarOpen(false)} />
+
+      <main className="main-content">
+        <div className="top-bar">
+          <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
+            <button className="menu-toggle" onClick={() => setSidebarOpen(true)}>☰</button>
+            <div>
+              <h1 className="page-title">Workspaces</h1>
+              <p className="page-subtitle">Share task lists with your team</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="profile-grid">
+          {/* Left: workspace list */}
+          <div className="card">
+            <div className="settings-list" style={{ marginBottom: '20px' }}>
+              {workspaces.length === 0 && (
+                <p style={{ fontSize: '13px', color: 'var(--text-muted)' }}>You're not in any workspaces yet.</p>
+              )}
+              {workspaces.map((w) => (
+                <button
+                  key={w._id}
+                  type="button"
+                  className={`settings-item ${w._id === activeId ? 'active' : ''}`}
+                  onClick={() => setSelectedId(w._id)}
+                >
+                  <div>
+                    <div className="settings-item-title">
+                      {w.name}
+                      {w._id === currentWorkspaceId && <span className="settings-item-badge">Current</span>}
+                    </div>
+                    <div className="settings-item-meta">
+                      {w.role} · {w.memberCount} member{w.memberCount === 1 ? '' : 's'}
+                    </div>
+                  </div>
+                </button>
+              ))}
+            </div>
+            <form onSubmit={onCreate}>
+              <div className="form-group">
+                <label className="form-label">New workspace</label>
+                <input
+                  className="form-input"
+                  value={newName}
+                  onChange={(e) => setNewName(e.target.value)}
+                  placeholder="e.g. Marketing team"
+                  maxLength={50}
+                />
+              </div>
+              <button
+                type="submit"
+                className="btn btn-primary btn-sm"
+                style={{ width: 'auto' }}
+                disabled={isBusy || newName.trim().length < 2}
+              >
+                + Create workspace
+              </button>
+            </form>
+          </div>
+
+          {/* Right: selected workspace */}
+          <div>
+            {details && (
+              <div className="card">
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '12px', marginBottom: '8px' }}>
+                  <h3 style={{ fontFamily: 'Syne', fontSize: '18px', fontWeight: 700 }}>{details.name}</h3>
+                  {details._id !== currentWorkspaceId && (
+                    <button className="btn btn-secondary btn-sm" onClick={() => selectWorkspace(details._id)}>
+                      Switch to this workspace
+                    </button>
+                  )}
+                </div>
+                <p style={{ fontSize: '13px', color: 'var(--text-muted)', marginBottom: '20px' }}>
+                  Created {format(new Date(details.createdAt), 'MMM d, yyyy')} · You are {details.role === 'owner' ? 'the' : 'an'} {details.role}
+                </p>
+
+                <h4 className="form-label">Members</h4>
+                <div className="settings-list" style={{ marginBottom: '24px' }}>
+                  {details.members.map((m) => (
+                    <div key={m.user._id} className="settings-item">
+                      <div>
+                        <div className="settings-item-title">
+                          {m.user.name}
+                          {m.user._id === user?._id && <span className="settings-item-badge">You</span>}
+                        </div>
+                        <div className="settings-item-meta">{m.user.email} · joined {format(new Date(m.joinedAt), 'MMM d, yyyy')}</div>
+                      </div>
+                      <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                        {isOwner && m.role !== 'owner' ? (
+                          <select
+                            className="filter-select"
+                            value={m.role}
+                            disabled={isBusy}
+                            onChange={(e) => onChangeRole(m.user._id, e.target.value)}
+                          >
+                            <option value="editor">Editor</option>
+                            <option value="viewer">Viewer</option>
+                          </select>
+                        ) : (
+                          <span className="settings-item-badge">{m.role}</span>
+                        )}
+                        {m.role !== 'owner' && (isOwner || m.user._id === user?._id) && (
+                          <button className="btn btn-danger btn-sm" disabled={isBusy} onClick={() => onRemoveMember(m.user._id)}>
+                            {m.user._id === user?._id ? 'Leave' : 'Remove'}
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                {isOwner && (
+                  <>
+                    <h4 className="form-label">Invite by email</h4>
+                    <form onSubmit={onInvite} style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '16px' }}>
+                      <input
+                        type="email"
+                        className="form-input"
+                        style={{ flex: 1, minWidth: '200px' }}
+                        value={inviteEmail}
+                        onChange={(e) => setInviteEmail(e.target.value)}
+                        placeholder="teammate@example.com"
+                      />
+                      <select className="filter-select" value={inviteRole} onChange={(e) => setInviteRole(e.target.value)}>
+                        <option value="editor">Editor</option>
+                        <option value="viewer">Viewer</option>
+                      </select>
+                      <button type="submit" className="btn btn-primary btn-sm" style={{ width: 'auto' }} disabled={isBusy || !inviteEmail}>
+                        Send invite
+                      </button>
+                    </form>
+
+                    {invitations.length > 0 && (
+                      <div className="settings-list" style={{ marginBottom: '24px' }}>
+                        {invitations.map((inv) => (
+                          <div key={inv._id} className="settings-item">
+                            <div>
+                              <div className="settings-item-title">
+                                {inv.email}
+                                <span className="settings-item-badge">{inv.role}</span>
+                              </div>
+                              <div className="settings-item-meta">
+                                Pending · expires {format(new Date(inv.expiresAt), 'MMM d, yyyy')}
+                              </div>
+                            </div>
+                            <button className="btn btn-secondary btn-sm" disabled={isBusy} onClick={() => onCancelInvitation(inv._id)}>
+                              Cancel
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+
+                    <button className="btn btn-danger btn-sm" disabled={isBusy} onClick={onDelete}>
+                      Delete workspace
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default WorkspacesPage;
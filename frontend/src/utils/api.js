@@ -1,33 +1,122 @@
 import axios from 'axios';
 
+export const baseURL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// In cookie mode the tokens live in httpOnly cookies and never touch JavaScript
+export const COOKIE_AUTH = process.env.REACT_APP_AUTH_MODE === 'cookie';
+const CSRF_COOKIE = 'csrf_token';
+const SAFE_METHODS = ['get', 'head', 'options'];
+
 const api = axios.create({
-  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000/api',
+  baseURL,
   headers: { 'Content-Type': 'application/json' },
   timeout: 10000,
+  withCredentials: COOKIE_AUTH,
 });
 
-// Request interceptor: attach JWT
+const getCookie = (name) => {
+  const match = document.cookie.match(new RegExp(`(?:^|; )${name}=([^;]*)`));
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+// Selected workspace; sent as X-Workspace-Id so task routes use its task list
+export const workspaceStore = {
+  get: () => localStorage.getItem('workspaceId'),
+  set: (id) => (id ? localStorage.setItem('workspaceId', id) : localStorage.removeItem('workspaceId')),
+  clear: () => localStorage.removeItem('workspaceId'),
+};
+
+// Token persistence shared by the interceptors and AuthContext
+export const tokenStore = {
+  getAccessToken: () => localStorage.getItem('token'),
+  getRefreshToken: () => localStorage.getItem('refreshToken'),
+  // The readable CSRF cookie is only issued alongside a session
+  hasSession: () => (COOKIE_AUTH ? !!getCookie(CSRF_COOKIE) : !!localStorage.getItem('refreshToken')),
+  set: ({ token, refreshToken }) => {
+    if (token) localStorage.setItem('token', token);
+    if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+  },
+  clear: () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+    workspaceStore.clear();
+    if (COOKIE_AUTH) document.cookie = `${CSRF_COOKIE}=; Max-Age=0; path=/`;
+  },
+};
+
+// Routes whose 401s mean "bad credentials", not "access token expired"
+const AUTH_ROUTES = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout', '/auth/2fa/verify'];
+const isAuthRoute = (url = '') => AUTH_ROUTES.some((route) => url.endsWith(route));
+
+// Request interceptor: attach JWT and workspace, or echo the CSRF cookie in cookie mode
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('token');
+    const token = tokenStore.getAccessToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    const workspaceId = workspaceStore.get();
+    if (workspaceId) {
+      config.headers['X-Workspace-Id'] = workspaceId;
+    }
+    if (COOKIE_AUTH && !SAFE_METHODS.includes(config.method)) {
+      const csrfToken = getCookie(CSRF_COOKIE);
+      if (csrfToken) config.headers['X-CSRF-Token'] = csrfToken;
+    }
     return config;
   },
   (error) => Promise.reject(error)
 );
 
-// Response interceptor: handle 401
+// Concurrent 401s share a single refresh call so the refresh token is only rotated once
+let refreshPromise = null;
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const body = COOKIE_AUTH ? {} : { refreshToken: tokenStore.getRefreshToken() };
+    refreshPromise = axios
+      .post(`${baseURL}/auth/refresh`, body, { withCredentials: COOKIE_AUTH })
+      .then(({ data }) => {
+        tokenStore.set(data);
+        return data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const redirectToLogin = () => {
+  tokenStore.clear();
+  if (window.location.pathname !== '/login') {
+    window.location.href = '/login';
+  }
+};
+
+// Response interceptor: refresh the access token on 401 and retry once
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const original = error.config;
+    if (error.response?.status !== 401 || !original || isAuthRoute(original.url)) {
+      return Promise.reject(error);
+    }
+
+    if (original._retry || !tokenStore.hasSession()) {
+      redirectToLogin();
+      return Promise.reject(error);
+    }
+
+    original._retry = true;
+    try {
+      const token = await refreshAccessToken();
+      if (token) original.headers.Authorization = `Bearer ${token}`;
+      return api(original);
+    } catch (refreshError) {
+      redirectToLogin();
+      return Promise.reject(refreshError);
     }
-    return Promise.reject(error);
   }
 );
 
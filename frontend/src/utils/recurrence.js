@@ -0,0 +1,70 @@
+import { format, parseISO } from 'date-fns';
+
+// Helpers for the RRULE subset the API accepts (see backend/utils/recurrence.js)
+
+export const WEEKDAYS = [
+  { id: 'MO', label: 'Mon' },
+  { id: 'TU', label: 'Tue' },
+  { id: 'WE', label: 'Wed' },
+  { id: 'TH', label: 'Thu' },
+  { id: 'FR', label: 'Fri' },
+  { id: 'SA', label: 'Sat' },
+  { id: 'SU', label: 'Sun' },
+];
+
+const UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+
+const toParts = (rule) =>
+  Object.fromEntries(rule.split(';').filter(Boolean).map((part) => part.split('=')));
+
+// Rule -> form state. Rules the simple controls can't express open as 'custom'.
+export const parseRule = (rule) => {
+  const empty = { freq: '', interval: 1, byDay: [], ends: 'never', count: 10, until: '', custom: '' };
+  if (!rule) return empty;
+
+  const { FREQ, INTERVAL, BYDAY, COUNT, UNTIL, ...rest } = toParts(rule);
+  if (!UNITS[FREQ] || Object.keys(rest).length > 0 || (BYDAY && FREQ !== 'WEEKLY')) {
+    return { ...empty, freq: 'CUSTOM', custom: rule };
+  }
+  return {
+    ...empty,
+    freq: FREQ,
+    interval: Number(INTERVAL) || 1,
+    byDay: BYDAY ? BYDAY.split(',') : [],
+    ends: COUNT ? 'count' : UNTIL ? 'until' : 'never',
+    count: Number(COUNT) || 10,
+    until: UNTIL ? `${UNTIL.slice(0, 4)}-${UNTIL.slice(4, 6)}-${UNTIL.slice(6, 8)}` : '',
+  };
+};
+
+// Form state -> rule ('' = does not repeat)
+export const buildRule = ({ freq, interval, byDay, ends, count, until, custom }) => {
+  if (!freq) return '';
+  if (freq === 'CUSTOM') return custom.trim().replace(/^RRULE:/i, '').toUpperCase();
+
+  const parts = [`FREQ=${freq}`];
+  if (Number(interval) > 1) parts.push(`INTERVAL=${Number(interval)}`);
+  if (freq === 'WEEKLY' && byDay.length > 0) parts.push(`BYDAY=${byDay.join(',')}`);
+  if (ends === 'count') parts.push(`COUNT=${Number(count)}`);
+  if (ends === 'until' && until) parts.push(`UNTIL=${until.replace(/-/g, '')}`);
+  return parts.join(';');
+};
+
+// "Every 2 weeks on Mon, Wed, 5 times"
+export const describeRule = (rule) => {
+  const { FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL } = toParts(rule);
+  const unit = UNITS[FREQ];
+  if (!unit) return rule;
+
+  const interval = Number(INTERVAL) || 1;
+  let text = interval > 1 ? `Every ${interval} ${unit}s` : `Every ${unit}`;
+  if (BYDAY) {
+    text += ` on ${BYDAY.split(',').map((d) => WEEKDAYS.find((w) => w.id === d)?.label || d).join(', ')}`;
+  }
+  if (BYMONTHDAY) text += ` on day ${BYMONTHDAY.replace(/-1/g, 'last')}`;
+  if (COUNT) text += `, ${COUNT} times`;
+  if (UNTIL) {
+    text += `, until ${format(parseISO(UNTIL.slice(0, 8)), 'MMM d, yyyy')}`;
+  }
+  return text;
+};